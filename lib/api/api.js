@@ -1,20 +1,68 @@
 var apiCommands = require('./apiCommands')
 var makeRequest = require('../utils/makeRequest')
 var errors = require('../errors/inputErrors');
+var bundleErrors = require('../errors/bundleErrors');
+var signerErrors = require('../errors/signerErrors');
 var inputValidator = require('../utils/inputValidator');
-var Curl = require("../crypto/curl");
 var Converter = require("../crypto/converter");
-var Signing = require("../crypto/signing");
+var Pow = require("../crypto/pow");
+var Transfers = require("../crypto/transfers");
 var Bundle = require("../crypto/bundle");
+var BundleValidator = require("../crypto/validateBundle");
+var Transaction = require("../crypto/transaction");
+var InputSelection = require("../utils/inputSelection");
+var Signer = require("../signers/signer");
 var Utils = require("../utils/utils");
+var promisify = require("../utils/promisify");
 var async = require("async");
 
 
 /**
 *  Making API requests, including generalized wrapper functions
+*
+*  @param {object} provider makeRequest or nodePool
+*  @param {object} workerPool Optional, used for local PoW and address generation
+*  @param {object} spentAddressStore Optional, remembers the inputs of signed bundles, see lib/spent/store.js
 **/
-function api(provider) {
+function api(provider, workerPool, spentAddressStore) {
     this.makeRequest = provider;
+    this.workerPool = workerPool || null;
+    this.spentAddressStore = spentAddressStore || null;
+}
+
+/**
+*   Validates the seed argument of an api method
+*
+*   @method seedError
+*   @param {string|object} seed Seed or signer
+*   @returns {object} error INVALID_SEED or INVALID_SIGNER, null if valid
+**/
+var seedError = function(seed) {
+
+    if (Signer.isSigner(seed) || inputValidator.isSeed(seed)) return null;
+
+    return inputValidator.isString(seed) ? errors.invalidSeed() : errors.invalidSigner();
+}
+
+/**
+*   Addresses are accepted with and without checksum. Addresses of 90
+*   trytes with a wrong checksum get their own error, instead of a
+*   general error of the field
+*
+*   @method checksumError
+*   @param {array} addresses
+*   @returns {object} error INVALID_CHECKSUM of the first wrong checksum, null otherwise
+**/
+var checksumError = function(addresses) {
+
+    for (var i = 0; i < addresses.length; i++) {
+
+        if (inputValidator.isTrytes(addresses[i], 90) && !Utils.isValidChecksum(addresses[i])) {
+            return errors.invalidChecksum(addresses[i]);
+        }
+    }
+
+    return null;
 }
 
 /**
@@ -22,15 +70,15 @@ function api(provider) {
 *
 *   @method sendCommand
 *   @param {object} command
-*   @param {function} callback
+*   @param {function} callback Called with error, success and the provider which served the request
 *   @returns {object} success
 **/
 api.prototype.sendCommand = function(command, callback) {
 
-    this.makeRequest.send(command, function(error, success) {
+    this.makeRequest.send(command, function(error, success, provider) {
 
         if (callback) {
-            return callback(error, success)
+            return callback(error, success, provider)
         } else {
             return success;
         }
@@ -63,28 +111,116 @@ api.prototype.attachToTangle = function(trunkTransaction, branchTransaction, min
     // inputValidator: Check if int
     if (!inputValidator.isInt(minWeightMagnitude)) {
 
-        throw errors.notInt();
+        throw errors.notInt("minWeightMagnitude");
     }
 
     // inputValidator: Check if array of trytes
     if (!inputValidator.isArrayOfTrytes(trytes)) {
 
-        throw errors.invalidTrytes();
+        throw errors.invalidTrytes("trytes");
     }
 
 
     var command = apiCommands.attachToTangle(trunkTransaction, branchTransaction, minWeightMagnitude, trytes)
 
-    this.sendCommand(command, function(error, success) {
+    this.sendCommand(command, function(error, success, provider) {
 
         if (callback) {
-            return callback(error, success)
+            return callback(error, success, provider)
         } else {
             return success;
         }
     })
 }
 
+/**
+*   Does the Proof of Work locally instead of on the node.
+*   Returns the same result as attachToTangle. If the api has a
+*   workerPool, the nonce search is split across its workers
+*
+*   @method localAttachToTangle
+*   @param {string} trunkTransaction
+*   @param {string} branchTransaction
+*   @param {integer} minWeightMagnitude
+*   @param {array} trytes
+*   @param {object} options
+*       @property {function} onProgress Called with the progress and the job, which can be cancelled
+*       @property {bool} bct Search the nonces with BctCurl
+*   @returns {function} callback
+*   @returns {object} success
+**/
+api.prototype.localAttachToTangle = function(trunkTransaction, branchTransaction, minWeightMagnitude, trytes, options, callback) {
+
+    var self = this;
+    var options = options || {};
+
+    // inputValidator: Check if correct hash
+    if (!inputValidator.isHash(trunkTransaction)) {
+
+        throw errors.invalidTrunkOrBranch(trunkTransaction);
+    }
+
+    // inputValidator: Check if correct hash
+    if (!inputValidator.isHash(branchTransaction)) {
+
+        throw errors.invalidTrunkOrBranch(branchTransaction);
+    }
+
+    // inputValidator: Check if int
+    if (!inputValidator.isInt(minWeightMagnitude)) {
+
+        throw errors.notInt("minWeightMagnitude");
+    }
+
+    // inputValidator: Check if array of trytes
+    if (!inputValidator.isArrayOfTrytes(trytes)) {
+
+        throw errors.invalidTrytes("trytes");
+    }
+
+    if (!self.workerPool) {
+
+        var attached = Pow.attachToTangle(trunkTransaction, branchTransaction, minWeightMagnitude, trytes, { 'bct': options.bct });
+
+        return callback(null, { 'trytes': attached });
+    }
+
+    var attached = [];
+    var previousTransaction = null;
+
+    // Transactions reference each other, so their nonces are searched one after the other
+    async.eachOfSeries(trytes, function(transactionTrytes, index, cb) {
+
+        var chained = Pow.chainTransaction(transactionTrytes, trunkTransaction, branchTransaction, previousTransaction);
+
+        var job = self.workerPool.searchNonce(Converter.trits(chained), minWeightMagnitude, { 'bct': options.bct }, function(error, nonce) {
+
+            if (error) return cb(error);
+
+            chained += Converter.trytes(nonce);
+
+            previousTransaction = Pow.transactionHash(chained);
+            attached.push(chained);
+
+            return cb();
+        })
+
+        if (options.onProgress) {
+
+            job.on('progress', function(progress) {
+
+                progress.transaction = index;
+                options.onProgress(progress, job);
+            })
+        }
+    }, function(error) {
+
+        if (error) return callback(error);
+
+        return callback(null, { 'trytes': attached.reverse() });
+    })
+}
+
 /**
 *   @method findTransactions
 *   @param {object} searchValues
@@ -95,7 +231,7 @@ api.prototype.findTransactions = function(searchValues, callback) {
 
     // If not an object, throw error
     if (!inputValidator.isObject(searchValues)) {
-        throw errors.invalidKey();
+        throw errors.invalidKey("searchValues");
     }
 
     // Get search key from input object
@@ -105,7 +241,7 @@ api.prototype.findTransactions = function(searchValues, callback) {
     searchKeys.forEach(function(key) {
         if (availableKeys.indexOf(key) === -1) {
 
-            throw errors.invalidKey();
+            throw errors.invalidKey(key);
         }
 
 
@@ -124,18 +260,29 @@ api.prototype.findTransactions = function(searchValues, callback) {
                 // validate hashes
                 if (!inputValidator.isTrytes(hash, 27)) {
 
-                    throw errors.invalidTrytes();
+                    throw errors.invalidTrytes(key);
                 }
             })
 
             // Reassign padded tags so that it can be used for findTransactions
             searchValues[key] = hashes;
+        } else if (key === 'addresses') {
+
+            if (inputValidator.isArray(hashes) && checksumError(hashes)) {
+
+                throw checksumError(hashes);
+            }
+
+            if (!inputValidator.isArrayOfAddresses(hashes)) {
+
+                throw errors.invalidTrytes(key);
+            }
         } else {
 
             // Check if correct array of hashes
             if (!inputValidator.isArrayOfHashes(hashes)) {
 
-                throw errors.invalidTrytes();
+                throw errors.invalidTrytes(key);
             }
         }
 
@@ -144,10 +291,15 @@ api.prototype.findTransactions = function(searchValues, callback) {
 
     var command = apiCommands.findTransactions(searchValues);
 
-    this.sendCommand(command, function(error, success) {
+    // The node only knows addresses without checksum
+    if (command.addresses) {
+        command.addresses = command.addresses.map(Utils.noChecksum);
+    }
+
+    this.sendCommand(command, function(error, success, provider) {
 
         if (callback) {
-            return callback(error, success)
+            return callback(error, success, provider)
         } else {
             return success;
         }
@@ -159,22 +311,34 @@ api.prototype.findTransactions = function(searchValues, callback) {
 *   @param {array} addresses
 *   @param {int} threshold
 *   @returns {function} callback
-*   @returns {object} success
+*   @returns {object} success Balances as BigInts
 **/
 api.prototype.getBalances = function(addresses, threshold, callback) {
 
-    // Check if correct transaction hashes
-    if (!inputValidator.isArrayOfHashes(addresses)) {
+    if (inputValidator.isArray(addresses) && checksumError(addresses)) {
 
-        throw errors.invalidTrytes();
+        throw checksumError(addresses);
     }
 
-    var command = apiCommands.getBalances(addresses, threshold);
+    // Check if correct addresses, with or without checksum
+    if (!inputValidator.isArrayOfAddresses(addresses)) {
 
-    this.sendCommand(command, function(error, success) {
+        throw errors.invalidTrytes("addresses");
+    }
+
+    var command = apiCommands.getBalances(addresses.map(Utils.noChecksum), threshold);
+
+    this.sendCommand(command, function(error, success, provider) {
+
+        // The node returns the balances as strings, BigInts keep them exact
+        if (success && success.balances) {
+            success.balances = success.balances.map(function(balance) {
+                return BigInt(balance);
+            })
+        }
 
         if (callback) {
-            return callback(error, success)
+            return callback(error, success, provider)
         } else {
             return success;
         }
@@ -193,21 +357,21 @@ api.prototype.getInclusionStates = function(transactions, tips, callback) {
     // Check if correct transaction hashes
     if (!inputValidator.isArrayOfHashes(transactions)) {
 
-        throw errors.invalidTrytes();
+        throw errors.invalidTrytes("transactions");
     }
 
     // Check if correct tips
     if (!inputValidator.isArrayOfHashes(tips)) {
 
-        throw errors.invalidTrytes();
+        throw errors.invalidTrytes("tips");
     }
 
     var command = apiCommands.getInclusionStates(transactions, tips);
 
-    this.sendCommand(command, function(error, success) {
+    this.sendCommand(command, function(error, success, provider) {
 
         if (callback) {
-            return callback(error, success)
+            return callback(error, success, provider)
         } else {
             return success;
         }
@@ -223,10 +387,10 @@ api.prototype.getNodeInfo = function(callback) {
 
     var command = apiCommands.getNodeInfo();
 
-    this.sendCommand(command, function(error, success) {
+    this.sendCommand(command, function(error, success, provider) {
 
         if (callback) {
-            return callback(error, success)
+            return callback(error, success, provider)
         } else {
             return success;
         }
@@ -242,10 +406,10 @@ api.prototype.getNeighbors = function(callback) {
 
     var command = apiCommands.getNeighbors();
 
-    this.sendCommand(command, function(error, success) {
+    this.sendCommand(command, function(error, success, provider) {
 
         if (callback) {
-            return callback(error, success)
+            return callback(error, success, provider)
         } else {
             return success;
         }
@@ -262,10 +426,10 @@ api.prototype.addNeighbors = function(uris, callback) {
 
     var command = apiCommands.addNeighbors();
 
-    this.sendCommand(command, function(error, success) {
+    this.sendCommand(command, function(error, success, provider) {
 
         if (callback) {
-            return callback(error, success)
+            return callback(error, success, provider)
         } else {
             return success;
         }
@@ -282,10 +446,10 @@ api.prototype.removeNeighbors = function(uris, callback) {
 
     var command = apiCommands.removeNeighbors();
 
-    this.sendCommand(command, function(error, success) {
+    this.sendCommand(command, function(error, success, provider) {
 
         if (callback) {
-            return callback(error, success)
+            return callback(error, success, provider)
         } else {
             return success;
         }
@@ -301,10 +465,10 @@ api.prototype.getTips = function(callback) {
 
     var command = apiCommands.getTips();
 
-    this.sendCommand(command, function(error, success) {
+    this.sendCommand(command, function(error, success, provider) {
 
         if (callback) {
-            return callback(error, success)
+            return callback(error, success, provider)
         } else {
             return success;
         }
@@ -319,12 +483,12 @@ api.prototype.getTips = function(callback) {
 **/
 api.prototype.getTransactionsToApprove = function(depth, callback) {
 
-    var command = apiCommands.getTransactionsToApprove(milestone);
+    var command = apiCommands.getTransactionsToApprove(depth);
 
-    this.sendCommand(command, function(error, success) {
+    this.sendCommand(command, function(error, success, provider) {
 
         if (callback) {
-            return callback(error, success)
+            return callback(error, success, provider)
         } else {
             return success;
         }
@@ -341,15 +505,15 @@ api.prototype.getTrytes = function(hashes, callback) {
 
     if (!inputValidator.isArrayOfHashes(hashes)) {
 
-        throw errors.invalidTrytes();
+        throw errors.invalidTrytes("hashes");
     }
 
     var command = apiCommands.getTrytes(hashes);
 
-    this.sendCommand(command, function(error, success) {
+    this.sendCommand(command, function(error, success, provider) {
 
         if (callback) {
-            return callback(error, success)
+            return callback(error, success, provider)
         } else {
             return success;
         }
@@ -365,10 +529,10 @@ api.prototype.interruptAttachingToTangle = function(callback) {
 
     var command = apiCommands.interruptAttachingToTangle
 
-    this.sendCommand(command, function(error, success) {
+    this.sendCommand(command, function(error, success, provider) {
 
         if (callback) {
-            return callback(error, success)
+            return callback(error, success, provider)
         } else {
             return success;
         }
@@ -385,15 +549,15 @@ api.prototype.broadcastTransactions = function(trytes, callback) {
 
     if (!inputValidator.isArrayOfAttachedTrytes(trytes)) {
 
-        throw errors.invalidAttachedTrytes();
+        throw errors.invalidAttachedTrytes("trytes");
     }
 
     var command = apiCommands.broadcastTransactions(trytes);
 
-    this.sendCommand(command, function(error, success) {
+    this.sendCommand(command, function(error, success, provider) {
 
         if (callback) {
-            return callback(error, success)
+            return callback(error, success, provider)
         } else {
             return success;
         }
@@ -410,15 +574,15 @@ api.prototype.storeTransactions = function(trytes, callback) {
 
     if (!inputValidator.isArrayOfAttachedTrytes(trytes)) {
 
-        throw errors.invalidAttachedTrytes();
+        throw errors.invalidAttachedTrytes("trytes");
     }
 
     var command = apiCommands.storeTransactions(trytes);
 
-    this.sendCommand(command, function(error, success) {
+    this.sendCommand(command, function(error, success, provider) {
 
         if (callback) {
-            return callback(error, success)
+            return callback(error, success, provider)
         } else {
             return success;
         }
@@ -447,19 +611,20 @@ api.prototype.broadcastAndStore = function(trytes, callback) {
 
     self.broadcastTransactions(trytes, function(error, success) {
 
-        if (!error) {
+        if (error) {
+            return callback ? callback(error) : undefined;
+        }
 
-            self.storeTransactions(trytes, function(error, stored) {
+        self.storeTransactions(trytes, function(error, stored) {
 
-                // TODO Better error checking
+            // TODO Better error checking
 
-                if (callback) {
-                    return callback(error, stored)
-                } else {
-                    return success;
-                }
-            })
-        }
+            if (callback) {
+                return callback(error, stored)
+            } else {
+                return success;
+            }
+        })
     })
 }
 
@@ -470,13 +635,13 @@ api.prototype.broadcastAndStore = function(trytes, callback) {
 *   @method getTransactionsObjects
 *   @param {array} hashes
 *   @returns {function} callback
-*   @returns {object} success
+*   @returns {array} Transaction instances, null for unknown hashes
 **/
 api.prototype.getTransactionsObjects = function(hashes, callback) {
 
     // If not array of hashes, return error
     if (!inputValidator.isArrayOfHashes(hashes)) {
-        return callback(errors.invalidInputs);
+        return callback(errors.invalidTrytes("hashes"));
     }
 
     // get the trytes of the transaction hashes
@@ -484,18 +649,16 @@ api.prototype.getTransactionsObjects = function(hashes, callback) {
 
         if (error) return callback(error);
 
-        var transactionObjects = [];
+        try {
 
-        // call transactionObjects for each trytes
-        trytes.trytes.forEach(function(thisTrytes) {
+            var transactionObjects = trytes.trytes.map(function(thisTrytes) {
 
-            // If no trytes returned, simply push null as placeholder
-            if (thisTrytes === null) {
-                transactionObject.push(null);
-            } else {
-                transactionObjects.push(Utils.transactionObject(thisTrytes));
-            }
-        })
+                // If no trytes returned, simply return null as placeholder
+                return thisTrytes === null ? null : Transaction.fromTrytes(thisTrytes);
+            })
+        } catch(error) {
+            return callback(error);
+        }
 
         return callback(null, transactionObjects);
     })
@@ -508,12 +671,17 @@ api.prototype.getTransactionsObjects = function(hashes, callback) {
 *   @param {array} trytes
 *   @param {int} depth
 *   @param {int} minWeightMagnitude
+*   @param {object} options
+*       @property {bool} localPow Do the Proof of Work locally instead of on the node
+*       @property {function} onProgress Progress of the local Proof of Work
+*       @property {bool} bct Search the nonces of the local Proof of Work with BctCurl
 *   @param {function} callback
-*   @returns {object} analyzed Transaction objects
+*   @returns {array} analyzed Transaction instances
 **/
-api.prototype.sendTrytes = function(trytes, depth, minWeightMagnitude, callback) {
+api.prototype.sendTrytes = function(trytes, depth, minWeightMagnitude, options, callback) {
 
     var self = this;
+    var options = options || {};
 
     // Get branch and trunk
     self.getTransactionsToApprove(depth, function(error, toApprove) {
@@ -522,8 +690,7 @@ api.prototype.sendTrytes = function(trytes, depth, minWeightMagnitude, callback)
             return callback(error)
         }
 
-        // attach to tangle - do pow
-        self.attachToTangle(toApprove.trunkTransaction, toApprove.branchTransaction, minWeightMagnitude, trytes, function(error, attached) {
+        var afterAttach = function(error, attached) {
             if (error) {
                 return callback(error)
             }
@@ -531,14 +698,24 @@ api.prototype.sendTrytes = function(trytes, depth, minWeightMagnitude, callback)
             // Broadcast and store tx
             self.broadcastAndStore(attached.trytes, function(error, success) {
 
-                if (!error) {
-
-                    Utils.transactionObject(attached.trytes, function(error, analyzed) {
-                        return callback(null, analyzed);
-                    })
+                if (error) {
+                    return callback(error);
                 }
+
+                var analyzed = attached.trytes.map(function(attachedTrytes) {
+                    return Transaction.fromTrytes(attachedTrytes);
+                })
+
+                return callback(null, analyzed);
             })
-        })
+        }
+
+        // attach to tangle - do pow
+        if (options.localPow) {
+            self.localAttachToTangle(toApprove.trunkTransaction, toApprove.branchTransaction, minWeightMagnitude, trytes, options, afterAttach);
+        } else {
+            self.attachToTangle(toApprove.trunkTransaction, toApprove.branchTransaction, minWeightMagnitude, trytes, afterAttach);
+        }
     })
 }
 
@@ -547,30 +724,36 @@ api.prototype.sendTrytes = function(trytes, depth, minWeightMagnitude, callback)
 *   attaches to Tangle, broadcasts and stores
 *
 *   @method sendTrytes
-*   @param {string} seed
+*   @param {string|object} seed Seed or signer
 *   @param {int} depth
 *   @param {int} minWeightMagnitude
 *   @param {array} transfer
-*   @param {object} options
+*   @param {object} options Passed on to prepareTransfers and sendTrytes
+*       @property {int} security Security level of the inputs. Defaults to 2
 *   @param {function} callback
-*   @returns {object} analyzed Transaction objects
+*   @returns {array} analyzed Transaction instances
 **/
 api.prototype.sendTransfer = function(seed, depth, minWeightMagnitude, transfer, options, callback) {
 
     var self = this;
 
+    if (seedError(seed)) {
+
+        throw seedError(seed);
+    }
+
     if (!inputValidator.isTransfersArray(transfer)) {
 
-        throw errors.invalidTrytes()
+        throw errors.invalidTransfers()
     }
 
-    self.prepareTransfers(seed, transfers, options, function(error, trytes) {
+    self.prepareTransfers(seed, transfer, options, function(error, trytes) {
 
         if (error) {
             return callback(error)
         }
 
-        self.sendTrytes(trytes, depth, minWeightMagnitude, callback);
+        self.sendTrytes(trytes, depth, minWeightMagnitude, options, callback);
     })
 }
 
@@ -579,60 +762,118 @@ api.prototype.sendTransfer = function(seed, depth, minWeightMagnitude, transfer,
 *
 *   @method replayTransfer
 *   @param {string} tail
+*   @param {int} depth
+*   @param {int} minWeightMagnitude
+*   @param {object} options Passed on to sendTrytes
 *   @param {function} callback
-*   @returns {object} analyzed Transaction objects
+*   @returns {array} analyzed Transaction instances
 **/
-api.prototype.replayTransfer = function(tail, callback) {
+api.prototype.replayTransfer = function(tail, depth, minWeightMagnitude, options, callback) {
 
     var self = this;
     self.getBundle(tail, function(error, bundle) {
 
         if (error) return callback(error);
 
-        // Get the trytes of all the bundle objects
-        var bundleTrytes = [];
-        bundle[0].forEach(function(bundleTx) {
-            bundleTrytes.push(Utils.transactionTrytes(bundleTx));
-        })
-
-        self.sendTrytes(bundleTrytes.reverse(), callback);
+        self.sendTrytes(Bundle.fromTransactions(bundle).toTrytes(), depth, minWeightMagnitude, options, callback);
     })
 }
 
 
 /**
-*   Generates a new address
+*   Checks which addresses were spent from, i.e. are the input of a
+*   transaction with a negative value, or are in the spent address store.
+*   Keys of spent addresses must never sign again
 *
-*   @method newAddress
-*   @param {string} seed
-*   @param {int} index
-*   @param {bool} checksum
-*   @returns {String} address Transaction objects
+*   @method wereAddressesSpentFrom
+*   @param {array} addresses With or without checksum
+*   @param {function} callback Called with error and a bool for every address
 **/
-api.prototype._newAddress = function(seed, index, checksum) {
+api.prototype.wereAddressesSpentFrom = function(addresses, callback) {
 
-    var key = Signing.key(Converter.trits(seed), index, 2);
-    var digests = Signing.digests(key);
-    var addressTrits = Signing.address(digests);
-    var address = Converter.trytes(addressTrits)
+    var self = this;
+
+    if (inputValidator.isArray(addresses) && checksumError(addresses)) {
+        return callback(checksumError(addresses));
+    }
 
-    if (checksum) {
-        address = Utils.getChecksum(address);
+    if (!inputValidator.isArrayOfAddresses(addresses)) {
+        return callback(errors.invalidTrytes("addresses"));
     }
 
-    return address;
+    addresses = addresses.map(Utils.noChecksum);
+
+    if (!addresses.length) {
+        return callback(null, []);
+    }
+
+    var localStates = function(cb) {
+
+        if (!self.spentAddressStore) {
+            return cb(null, addresses.map(function() { return false; }));
+        }
+
+        self.spentAddressStore.isSpent(addresses, cb);
+    }
+
+    localStates(function(error, states) {
+
+        if (error) return callback(error);
+
+        // Only the addresses which the store does not know are looked up
+        var unknown = addresses.filter(function(address, i) {
+            return !states[i];
+        })
+
+        if (!unknown.length) {
+            return callback(null, states);
+        }
+
+        self.findTransactions({'addresses': unknown}, function(error, transactions) {
+
+            if (error) return callback(error);
+
+            if (!transactions.hashes.length) {
+                return callback(null, states);
+            }
+
+            self.getTrytes(transactions.hashes, function(error, trytesList) {
+
+                if (error) return callback(error);
+
+                var spent = {};
+
+                trytesList.trytes.forEach(function(trytes) {
+
+                    var tx = trytes ? Utils.transactionObject(trytes) : null;
+
+                    if (tx && tx.value < 0) {
+                        spent[tx.address] = true;
+                    }
+                })
+
+                return callback(null, addresses.map(function(address, i) {
+                    return states[i] || spent[address] === true;
+                }));
+            })
+        })
+    })
 }
 
 /**
 *   Generates a new address either deterministically or index-based
 *
 *   @method getNewAddress
-*   @param {string} seed
+*   @param {string|object} seed Seed or signer
 *   @param {object} options
 *       @property {int} index Key index to start search from
+*       @property {int} security Security level of the addresses, 1, 2 or 3. Defaults to 2
 *       @property {bool} checksum
 *       @property {int} total Total number of addresses to return
 *       @property {bool} returnAll return all searched addresses or not
+*       @property {function} onProgress Called with the progress and the job if
+*                   the addresses are generated by the workerPool
+*       @property {bool} bct Hash the digests and addresses with BctCurl
 *   @param {function} callback
 *   @returns {array} address List of addresses
 **/
@@ -640,16 +881,27 @@ api.prototype.getNewAddress = function(seed, options, callback) {
 
     var self = this;
 
-    // If no options provided, switch arguments
-    if (arguments.length === 2 && Object.prototype.toString.call(options) === "[object Function]") {
-        callback = options;
-        options = {};
-    }
+    // Options are optional, the callback is put in place by promisify
+    var options = options || {};
 
     var index = options.index || 0;
+    var security = options.security || 2;
     var checksum = options.checksum || false;
     var total = options.total || null;
     var allAddresses = [];
+    var signer = Signer.toSigner(seed);
+
+    if (!signer) {
+        return callback(seedError(seed));
+    }
+
+    if (!inputValidator.isSecurity(security)) {
+        return callback(errors.invalidSecurity(security));
+    }
+
+    var withChecksum = function(address) {
+        return checksum ? Utils.getChecksum(address) : address;
+    }
 
 
     // Case 1: total
@@ -658,14 +910,35 @@ api.prototype.getNewAddress = function(seed, options, callback) {
     // and return the list of all addresses
     if (total) {
 
-        // Increase index with each iteration
-        for (var i = 0; i < total; i++, index++) {
+        // Signers which can generate many addresses at once may use BctCurl or the workers
+        if (signer.getAddresses) {
+
+            var job = signer.getAddresses(index, total, security, {
+                'checksum': checksum,
+                'bct': options.bct,
+                'workerPool': self.workerPool
+            }, callback);
 
-            var address = self._newAddress(seed, index, checksum);
-            allAddresses.push(address);
+            if (job && options.onProgress) {
+
+                job.on('progress', function(progress) {
+                    options.onProgress(progress, job);
+                })
+            }
+
+            return;
         }
 
-        return callback(null, allAddresses);
+        // Increase index with each iteration
+        async.timesSeries(total, function(i, cb) {
+
+            signer.getAddress(index + i, security, cb);
+        }, function(error, addresses) {
+
+            if (error) return callback(error);
+
+            return callback(null, addresses.map(withChecksum));
+        })
     }
     //  Case 2: no total provided
     //
@@ -677,17 +950,36 @@ api.prototype.getNewAddress = function(seed, options, callback) {
         async.doWhilst(function(callback) {
             // Iteratee function
 
-            var newAddress = self._newAddress(seed, index, checksum);
-
-            self.findTransactions({'addresses': Array(newAddress)}, function(error, transactions) {
+            signer.getAddress(index, security, function(error, address) {
 
                 if (error) {
                     return callback(error);
                 }
-                callback(null, newAddress, transactions)
+
+                var newAddress = withChecksum(address);
+
+                self.findTransactions({'addresses': Array(newAddress)}, function(error, transactions) {
+
+                    if (error) {
+                        return callback(error);
+                    }
+
+                    // Signed bundles which did not reach the Tangle yet are only known to the store
+                    if (transactions.hashes.length || !self.spentAddressStore) {
+                        return callback(null, newAddress, transactions.hashes.length > 0);
+                    }
+
+                    self.spentAddressStore.isSpent([address], function(error, states) {
+
+                        if (error) {
+                            return callback(error);
+                        }
+                        callback(null, newAddress, states[0])
+                    })
+                })
             })
 
-        }, function(address, transactions) {
+        }, function(address, used) {
             // Test function with validity check
 
             if (options.returnAll) {
@@ -698,7 +990,7 @@ api.prototype.getNewAddress = function(seed, options, callback) {
             index += 1;
 
             // Validity check
-            return transactions.hashes.length > 0;
+            return used;
         }, function(err, address) {
             // Final callback
 
@@ -719,32 +1011,42 @@ api.prototype.getNewAddress = function(seed, options, callback) {
 /**
 *   Gets the inputs of a seed
 *
-*   @method getNewAddress
-*   @param {string} seed
+*   @method getInputs
+*   @param {string|object} seed Seed or signer
 *   @param {object} options
 *       @property {int} start Starting key index
 *       @property {int} end Ending key index
-*       @property {int} threshold Min balance required
-*   @param {function} callback
+*       @property {int} security Security level of the addresses. Defaults to 2
+*       @property {int|string|BigInt} threshold Min balance required
+*       @property {string|function} inputSelection Strategy which chooses the inputs once a threshold
+*                   is given: sequential (default), largestFirst, bestFit, exactMatch or a custom selector
+*   @param {function} callback Called with error and the inputs. If a threshold is given, the selection
+*                   property holds the report of the strategy. Balances are BigInts
 **/
 api.prototype.getInputs = function(seed, options, callback) {
 
     var self = this;
 
-    // If no options provided, switch arguments
-    if (arguments.length === 2 && Object.prototype.toString.call(options) === "[object Function]") {
-        callback = options;
-        options = {};
+    // Options are optional, the callback is put in place by promisify
+    var options = options || {};
+
+    if (seedError(seed)) {
+        return callback(seedError(seed));
     }
 
     var start = options.start || 0;
     var end = options.end || null;
+    var security = options.security || 2;
     var threshold = options.threshold || null;
 
+    if (!inputValidator.isSecurity(security)) {
+        return callback(errors.invalidSecurity(security));
+    }
+
     // If start value bigger than end, return error
     // or if difference between end and start is bigger than 500 keys
     if (start > end || end > (start + 500)) {
-        return callback(new Error("Invalid inputs provided"))
+        return callback(errors.invalidInputs("end"))
     }
 
     //  Case 1: start and end
@@ -753,15 +1055,14 @@ api.prototype.getInputs = function(seed, options, callback) {
     //  and call getBalances
     if (end) {
 
-        var allAddresses = [];
-
-        for (var i = start; i < end; i++) {
-
-            var address = self._newAddress(seed, i, false);
-            allAddresses.push(address);
-        }
+        self.getNewAddress(seed, {'index': start, 'total': end - start, 'security': security}, function(error, addresses) {
 
-        getBalanceAndFormat(allAddresses);
+            if (error) {
+                return callback(error);
+            } else {
+                getBalanceAndFormat(addresses);
+            }
+        })
     }
     //  Case 2: iterate till threshold || end
     //
@@ -770,7 +1071,7 @@ api.prototype.getInputs = function(seed, options, callback) {
     //  We then do getBalance, format the output and return it
     else {
 
-        self.getNewAddress(seed, {'index': start, 'returnAll': true}, function(error, addresses) {
+        self.getNewAddress(seed, {'index': start, 'security': security, 'returnAll': true}, function(error, addresses) {
 
             if (error) {
                 return callback(error);
@@ -787,45 +1088,49 @@ api.prototype.getInputs = function(seed, options, callback) {
 
         self.getBalances(addresses, 100, function(error, balances) {
 
+            if (error) return callback(error);
+
             var inputsObject = {
                 'inputs': [],
-                'totalBalance': 0
+                'totalBalance': BigInt(0)
             };
 
-            // If threshold defined, keep track of whether reached or not
-            // else set default to true
-            var thresholdReached = threshold ? false : true;
-
             for (var i = 0; i < addresses.length; i++) {
 
-                var balance = parseInt(balances.balances[i]);
+                var balance = balances.balances[i];
 
                 if (balance > 0) {
 
                     var newEntry = {
                         'address': addresses[i],
                         'balance': balance,
-                        'keyIndex': start + i
+                        'keyIndex': start + i,
+                        'security': security
                     }
 
                     // Add entry to inputs
                     inputsObject.inputs.push(newEntry);
                     // Increase totalBalance of all aggregated inputs
                     inputsObject.totalBalance += balance;
-
-                    if (threshold && inputsObject.totalBalance >= threshold) {
-
-                        thresholdReached = true;
-                        break;
-                    }
                 }
             }
 
-            if (thresholdReached) {
+            if (!threshold) {
                 return callback(null, inputsObject);
-            } else {
-                return callback(new Error("Not enough balance"));
             }
+
+            // The strategy chooses among all inputs with a balance
+            try {
+                var selection = InputSelection.select(inputsObject.inputs, threshold, options.inputSelection);
+            } catch(error) {
+                return callback(error);
+            }
+
+            return callback(null, {
+                'inputs': selection.inputs,
+                'totalBalance': selection.totalBalance,
+                'selection': selection.report
+            });
         })
     }
 }
@@ -835,11 +1140,19 @@ api.prototype.getInputs = function(seed, options, callback) {
 *   Prepares transfer by generating bundle, finding and signing inputs
 *
 *   @method prepareTransfers
-*   @param {string} seed
+*   @param {string|object} seed Seed or signer
 *   @param {object} transfers
 *   @param {object} options
-*       @property {array} inputs Inputs used for signing. Needs to have correct keyIndex and address value
+*       @property {array} inputs Inputs used for signing. Needs to have correct keyIndex and address value,
+*                   the security level of an input defaults to the security option
 *       @property {string} address Remainder address
+*       @property {int} security Security level of the inputs and the remainder address. Defaults to 2
+*       @property {string|function} inputSelection Strategy which chooses the inputs, see getInputs.
+*                   Provided inputs are all used, unless a strategy is given
+*       @property {function} onSelection Called with the selection report of the inputs before they are signed
+*       @property {bool} allowSpentInputs Sign inputs which were already spent from. Defaults to false,
+*                   reusing a key reveals more of it with every signature
+*       @property {function} onWarning Called with every warning, e.g. SPENT_OUTPUT_ADDRESS
 *   @param {function} callback
 *   @returns {array} trytes Returns bundle trytes
 **/
@@ -847,286 +1160,291 @@ api.prototype.prepareTransfers = function(seed, transfers, options, callback) {
 
     var self = this;
 
-    // If no options provided, switch arguments
-    if (arguments.length === 3 && Object.prototype.toString.call(options) === "[object Function]") {
-        callback = options;
-        options = {};
-    }
+    // Options are optional, the callback is put in place by promisify
+    var options = options || {};
 
-    // Input validation of transfers object
-    if (!inputValidator.isTransfersArray(transfers)) {
-        return callback(errors.invalidTransfers());
-    }
+    var signer = Signer.toSigner(seed);
 
-    // If inputs provided, validate the format
-    if (options.inputs && !inputValidator.isInputs(options.inputs)) {
-        return callback(errors.invalidInputs());
+    if (!signer) {
+        return callback(seedError(seed));
     }
 
-    var remainder = options.address || null;
-    var chosenInputs = options.inputs || [];
+    self.prepareUnsignedTransfers(transfers, options, signer, function(error, unsignedBundle) {
 
+        if (error) return callback(error);
 
-    // Create a new bundle
-    var bundle = new Bundle();
+        if (unsignedBundle.selection && options.onSelection) {
+            options.onSelection(unsignedBundle.selection);
+        }
 
-    var totalValue = 0;
-    var signatureFragments = [];
-    var tag;
+        return self.signTransfers(signer, unsignedBundle, options, callback);
+    })
+}
 
-    //
-    //  Iterate over all transfers, get totalValue
-    //  and prepare the signatureFragments, message and tag
-    //
-    for (var i = 0; i < transfers.length; i++) {
+/**
+*   Online part of prepareTransfers: gets the balances of the inputs and
+*   builds the bundle, but does not sign it. The unsigned bundle can be
+*   serialized with utils.stringify and signed with signTransfers on an
+*   offline machine.
+*
+*   Without a seed, inputs have to be provided, as well as a remainder
+*   address if the inputs exceed the value of the transfers
+*
+*   @method prepareUnsignedTransfers
+*   @param {object} transfers
+*   @param {object} options Same as prepareTransfers
+*   @param {string|object} seed Optional seed or signer, used to find inputs and a remainder address
+*   @param {function} callback
+*   @returns {object} unsignedBundle bundleHash, inputs, remainderAddress, remainder, transactions,
+*                   the selection report of the inputs, null without inputs, and the warnings
+**/
+api.prototype.prepareUnsignedTransfers = function(transfers, options, seed, callback) {
 
-        var signatureMessageLength = 1;
+    var self = this;
 
-        // If message longer than 2187 trytes, increase signatureMessageLength (add 2nd transaction)
-        if (transfers[i].message.length > 2187) {
+    // Options are optional, the callback is put in place by promisify
+    var options = options || {};
 
-            // Get total length, message / maxLength (2187 trytes)
-            signatureMessageLength += Math.floor(transfers[i].message.length / 2187);
+    if (seed && seedError(seed)) {
+        return callback(seedError(seed));
+    }
 
-            var msgCopy = transfers[i].message;
+    var addresses = [];
 
-            // While there is still a message, copy it
-            while (msgCopy) {
+    if (inputValidator.isArray(transfers)) {
+        transfers.forEach(function(transfer) {
+            if (transfer) addresses.push(transfer.address);
+        })
+    }
 
-                var fragment = msgCopy.slice(0, 2187);
-                msgCopy = msgCopy.slice(2187, msgCopy.length);
+    if (inputValidator.isArray(options.inputs)) {
+        options.inputs.forEach(function(input) {
+            if (input) addresses.push(input.address);
+        })
+    }
 
-                // Pad remainder of fragment
-                for (var j = 0; fragment.length < 2187; j++) {
-                    fragment += '9';
-                }
+    if (options.address) {
+        addresses.push(options.address);
+    }
 
-                signatureFragments.push(fragment);
-            }
-        } else {
-            // Else, get single fragment with 2187 of 9's trytes
-            var fragment = '';
+    if (checksumError(addresses)) {
+        return callback(checksumError(addresses));
+    }
 
-            if (transfers[i].message) {
-                fragment = transfers[i].message.slice(0, 2187)
-            }
+    // Input validation of transfers object
+    if (!inputValidator.isTransfersArray(transfers)) {
+        return callback(errors.invalidTransfers());
+    }
 
-            for (var j = 0; fragment.length < 2187; j++) {
-                fragment += '9';
-            }
+    // If inputs provided, validate the format
+    if (options.inputs && !inputValidator.isInputs(options.inputs)) {
+        return callback(errors.invalidInputs("inputs"));
+    }
 
-            signatureFragments.push(fragment);
-        }
+    if (options.address && !inputValidator.isAddress(options.address)) {
+        return callback(errors.invalidTrytes("address"));
+    }
 
-        // get current timestamp in seconds
-        var timestamp = Math.floor(Date.now() / 1000);
+    var security = options.security || 2;
 
-        // If no tag defined, get 27 tryte tag.
-        tag = transfers[i].tag ? transfers[i].tag : '999999999999999999999999999';
+    if (!inputValidator.isSecurity(security)) {
+        return callback(errors.invalidSecurity(security));
+    }
 
-        // Pad for required 27 tryte length
-        for (var j = 0; tag.length < 27; j++) {
-            tag += '9';
-        }
+    var totalValue = BigInt(0);
+    transfers.forEach(function(transfer) {
+        totalValue += BigInt(transfer.value);
+    })
 
-        // Add first entry to the bundle
-        bundle.addEntry(signatureMessageLength, transfers[i].address, transfers[i].value, tag, timestamp)
-        // Sum up total value
-        totalValue += parseInt(transfers[i].value);
-    }
+    var build = function(inputs, remainderAddress, selection) {
 
-    // Get inputs if we are sending tokens
-    if (totalValue) {
+        var inputAddresses = inputs.map(function(input) {
+            return input.address;
+        })
 
-        //  Case 1: user provided inputs
-        //
-        //  Validate the inputs by calling getBalances
-        if (options.inputs) {
+        // Addresses which receive a value
+        var outputAddresses = transfers.filter(function(transfer) {
+            return BigInt(transfer.value) > 0;
+        }).map(function(transfer) {
+            return transfer.address;
+        })
 
-            // Get list if addresses of the provided inputs
-            var inputsAddresses = [];
-            options.inputs.forEach(function(inputEl) {
-                inputsAddresses.push(inputEl.address);
-            })
+        if (remainderAddress) {
+            outputAddresses.push(remainderAddress);
+        }
 
-            self.getBalances(inputsAddresses, 100, function(error, balances) {
+        self.wereAddressesSpentFrom(inputAddresses.concat(outputAddresses), function(error, states) {
 
-                var confirmedInputs = [];
-                var totalBalance = 0;
-                for (var i = 0; i < balances.balances.length; i++) {
-                    var thisBalance = parseInt(balances.balances[i]);
-                    totalBalance += thisBalance;
+            if (error) return callback(error);
 
-                    // If input has balance, add it to confirmedInputs
-                    if (thisBalance > 0) {
-                        var inputEl = options.inputs[i];
-                        inputEl.balance = thisBalance;
+            for (var i = 0; i < inputAddresses.length; i++) {
 
-                        confirmedInputs.push(inputEl);
-                    }
+                if (states[i] && !options.allowSpentInputs) {
+                    return callback(signerErrors.spentAddress(inputAddresses[i]));
                 }
+            }
 
-                // Return not enough balance error
-                if (totalValue > totalBalance) {
-                    return callback("Not enough balance");
+            // Funds sent to a spent address can be stolen, but the recipient decides about it
+            var warnings = [];
+            for (var i = 0; i < outputAddresses.length; i++) {
+
+                if (states[inputAddresses.length + i]) {
+                    warnings.push({ 'code': 'SPENT_OUTPUT_ADDRESS', 'address': outputAddresses[i] });
                 }
+            }
 
-                signInputsAndReturn(confirmedInputs);
-            });
+            try {
+                var unsignedBundle = Transfers.buildBundle(transfers, inputs, remainderAddress, security);
+            } catch(error) {
+                return callback(error);
+            }
 
-        }
+            unsignedBundle.selection = selection;
+            unsignedBundle.warnings = warnings;
 
-        //  Case 2: Get inputs deterministically
-        //
-        //  If no inputs provided, derive the addresses from the seed and
-        //  confirm that the inputs exceed the threshold
-        else {
+            if (options.onWarning) {
+                warnings.forEach(function(warning) {
+                    options.onWarning(warning);
+                })
+            }
 
-            self.getInputs(seed, {'threshold': totalValue}, function(error, inputs) {
+            return callback(null, unsignedBundle);
+        })
+    }
 
-                // If inputs with enough balance
-                if (!error) {
+    // If no input required, the bundle only contains the transfers
+    if (!totalValue) {
+        return build([], null, null);
+    }
 
-                    signInputsAndReturn(inputs.inputs);
-                } else {
+    var withRemainder = function(inputs, totalBalance, selection) {
 
-                    return callback(error);
-                }
-            })
+        // Use the remainder address of the user, or generate a new one if there is a remainder
+        if (options.address || totalBalance === totalValue) {
+            return build(inputs, options.address || null, selection);
         }
-    } else {
-
-        // If no input required, don't sign and simply finalize the bundle
-        bundle.finalize();
-        bundle.addTrytes(signatureFragments);
 
-        var bundleTrytes = []
-        bundle.bundle.forEach(function(tx) {
-            bundleTrytes.push(Utils.transactionTrytes(tx))
-        })
-
-        return callback(null, bundleTrytes.reverse());
-    }
+        if (!seed) {
+            return callback(errors.noRemainderAddress());
+        }
 
+        self.getNewAddress(seed, {'security': security}, function(error, addresses) {
 
+            if (error) return callback(error);
 
-    function signInputsAndReturn(inputs) {
+            return build(inputs, addresses[0], selection);
+        })
+    }
 
-        for (var i = 0; i < inputs.length; i++) {
+    //  Case 1: user provided inputs
+    //
+    //  Validate the inputs by calling getBalances
+    if (options.inputs) {
 
-            var thisBalance = inputs[i].balance;
-            var toSubtract = 0 - thisBalance;
-            var timestamp = Math.floor(Date.now() / 1000);
+        // Get list if addresses of the provided inputs
+        var inputsAddresses = options.inputs.map(function(inputEl) {
+            return inputEl.address;
+        })
 
-            // Add input as bundle entry
-            bundle.addEntry(2, inputs[i].address, toSubtract, tag, timestamp);
+        self.getBalances(inputsAddresses, 100, function(error, balances) {
 
-            // If there is a remainder value
-            // Add extra output to send remaining funds to
-            if (thisBalance > totalValue) {
+            if (error) return callback(error);
 
-                var remainder = thisBalance - totalValue;
+            var confirmedInputs = [];
 
-                // If user has provided remainder address
-                // Use it to send remaining funds to
-                if (remainder) {
+            for (var i = 0; i < balances.balances.length; i++) {
 
-                    // Remainder bundle entry
-                    bundle.addEntry(1, remainder, remainder, tag, timestamp);
-                } else {
+                var thisBalance = balances.balances[i];
 
-                    // Generate a new Address by calling getNewAddress
-                    self.getNewAddress(seed, {}, function(error, address) {
+                // If input has balance, add it to confirmedInputs
+                if (thisBalance > 0) {
 
-                        var timestamp = Math.floor(Date.now() / 1000);
+                    var inputEl = Object.assign({}, options.inputs[i]);
+                    inputEl.balance = thisBalance;
 
-                        // Remainder bundle entry
-                        bundle.addEntry(1, address[0], remainder, tag, timestamp);
-                    })
+                    confirmedInputs.push(inputEl);
                 }
-            } else {
-
-                totalValue -= thisBalance;
             }
-        }
-
-        bundle.finalize();
-        bundle.addTrytes(signatureFragments);
-
-        //  SIGNING OF INPUTS
-        //
-        //  Here we do the actual signing of the inputs
-        //  Iterate over all bundle transactions, find the inputs
-        //  Get the corresponding private key and calculate the signatureFragment
-        for (var i = 0; i < bundle.bundle.length; i++) {
 
-            if (bundle.bundle[i].value < 0) {
-
-                var thisAddress = bundle.bundle[i].address;
-
-                // Get the corresponding keyIndex of the address
-                var keyIndex;
-                for (var k = 0; k < inputs.length; k++) {
+            try {
+                var selection = InputSelection.select(confirmedInputs, totalValue, options.inputSelection || 'all');
+            } catch(error) {
+                return callback(error);
+            }
 
-                    if (inputs[k].address === thisAddress) {
+            return withRemainder(selection.inputs, selection.totalBalance, selection.report);
+        })
+    }
 
-                        keyIndex = inputs[k].keyIndex;
-                        break;
-                    }
-                }
+    //  Case 2: Get inputs deterministically
+    //
+    //  If no inputs provided, derive the addresses from the seed and
+    //  confirm that the inputs exceed the threshold
+    else if (seed) {
 
-                var bundleHash = bundle.bundle[i].bundle;
+        self.getInputs(seed, {
+            'threshold': totalValue,
+            'security': security,
+            'inputSelection': options.inputSelection
+        }, function(error, inputs) {
 
-                // Get corresponding private key of address
-                var key = Signing.key(Converter.trits(seed), keyIndex, 2);
+            if (error) return callback(error);
 
-                //  First 6561 trits for the firstFragment
-                var firstFragment = key.slice(0, 6561);
+            return withRemainder(inputs.inputs, inputs.totalBalance, inputs.selection);
+        })
+    } else {
 
-                //  Get the normalized bundle hash
-                var normalizedBundleHash = bundle.normalizedBundle(bundleHash);
+        return callback(errors.invalidInputs("inputs"));
+    }
+}
 
-                //  First bundle fragment uses 27 trytes
-                var firstBundleFragment = normalizedBundleHash.slice(0, 27);
+/**
+*   Offline part of prepareTransfers: signs an unsigned bundle of
+*   prepareUnsignedTransfers with the seed, without any network access
+*
+*   @method signTransfers
+*   @param {string|object} seed Seed or signer
+*   @param {object} unsignedBundle
+*   @param {object} options
+*       @property {bool} allowSpentInputs Sign inputs which the spent address store knows. Defaults to false
+*   @param {function} callback
+*   @returns {array} trytes Returns bundle trytes, ready for sendTrytes
+**/
+api.prototype.signTransfers = function(seed, unsignedBundle, options, callback) {
 
-                //  Calculate the new signatureFragment with the first bundle fragment
-                var firstSignedFragment = Signing.signatureFragment(firstBundleFragment, firstFragment);
+    var self = this;
 
-                //  Convert signature to trytes and assign the new signatureFragment
-                bundle.bundle[i].signatureMessageFragment = Converter.trytes(firstSignedFragment);
+    // Options are optional, the callback is put in place by promisify
+    var options = options || {};
 
-                //  Because the signature is > 2187 trytes, we need to
-                //  find the second transaction to add the remainder of the signature
-                for (var j = 0; j < bundle.bundle.length; j++) {
+    var signer = Signer.toSigner(seed);
 
-                    //  Same address as well as value = 0 (as we already spent the input)
-                    if (bundle.bundle[j].address === thisAddress && bundle.bundle[j].value === 0) {
+    if (!signer) {
+        return callback(seedError(seed));
+    }
 
-                        // Use the second 6562 trits
-                        var secondFragment = key.slice(6561,  2 * 6561);
+    var store = self.spentAddressStore;
 
-                        // The second 27 to 54 trytes of the bundle hash
-                        var secondBundleFragment = normalizedBundleHash.slice(27, 27 * 2);
+    if (!store) {
+        return Transfers.signBundle(signer, unsignedBundle, callback);
+    }
 
-                        //  Calculate the new signature
-                        var secondSignedFragment = Utils.signatureFragment(secondBundleFragment, secondFragment);
+    var inputAddresses = unsignedBundle.inputs.map(function(input) {
+        return input.address;
+    })
 
-                        //  Convert signature to trytes and assign it again to this bundle entry
-                        bundle.bundle[j].signatureMessageFragment = Converter.trytes(secondSignedFragment);
-                    }
-                }
-            }
-        }
+    // Offline, only the store can tell which inputs already signed. The
+    // inputs are reserved before signing, in one step with the check, so
+    // that concurrent calls never sign with the same key. They stay
+    // reserved if signing fails, a key might have signed already
+    var reserve = options.allowSpentInputs ? store.add : store.reserve;
 
-        var bundleTrytes = []
+    reserve.call(store, inputAddresses, function(error) {
 
-        // Convert all bundle entries into trytes
-        bundle.bundle.forEach(function(tx) {
-            bundleTrytes.push(Utils.transactionTrytes(tx))
-        })
+        if (error) return callback(error);
 
-        return callback(null, bundleTrytes.reverse());
-    }
+        Transfers.signBundle(signer, unsignedBundle, callback);
+    })
 }
 
 
@@ -1140,7 +1458,7 @@ api.prototype.prepareTransfers = function(seed, transfers, options, callback) {
 *   @param {string} trunkTx Hash of a trunk or a tail transaction  of a bundle
 *   @param {string} bundleHash
 *   @param {array} bundle List of bundles to be populated
-*   @returns {array} bundle Transaction objects
+*   @returns {array} bundle Transaction instances
 **/
 api.prototype.traverseBundle = function(trunkTx, bundleHash, bundle, callback) {
 
@@ -1153,17 +1471,19 @@ api.prototype.traverseBundle = function(trunkTx, bundleHash, bundle, callback) {
 
         if (error) return callback(error);
 
-        if (trytes === null) return callback(new Error("Bundle transactions not visible"))
+        if (trytes === null) return callback(bundleErrors.notVisible(trunkTx))
 
         // get the transaction object
-        var txObject = Utils.transactionObject(trytes);
-
-        if (error) return callback(error);
+        try {
+            var txObject = Transaction.fromTrytes(trytes);
+        } catch(error) {
+            return callback(error);
+        }
 
         // If first transaction to search is not a tail, return error
         if (!bundleHash && txObject.currentIndex !== 0) {
 
-            return callback(new Error("Invalid tail transaction supplied."));
+            return callback(bundleErrors.invalidTail(trunkTx));
         }
 
         // If no bundle hash, define it
@@ -1199,7 +1519,7 @@ api.prototype.traverseBundle = function(trunkTx, bundleHash, bundle, callback) {
 *
 *   @method getBundle
 *   @param {string} transaction Hash of a tail transaction
-*   @returns {list} bundle Transaction objects
+*   @returns {list} bundle Transaction instances
 **/
 api.prototype.getBundle = function(transaction, callback) {
 
@@ -1209,79 +1529,12 @@ api.prototype.getBundle = function(transaction, callback) {
 
         if (error) return callback(error);
 
-        /********
-
-        Validity Check Functions
-
-        ********/
-
-        var totalSum = 0, lastIndex, bundleHash = bundle[0].bundle;
-
-        // Prepare to absorb txs and get bundleHash
-        var bundleFromTxs = [], state = [];
-        Curl.initialize(state);
-
-        // Prepare for signature validation
-        var signaturesToValidate = [];
-
-        bundle.forEach(function(bundleTx, index) {
+        var report = BundleValidator.validateBundle(bundle);
 
-            totalSum += bundleTx.value;
+        if (!report.valid) return callback(BundleValidator.reportError(report));
 
-            // currentIndex has to be equal to the index in the array
-            if (bundleTx.currentIndex !== index) return callback(new Error("Invalid Bundle"));
-
-            // Get the transaction trytes
-            var thisTxTrytes = Utils.transactionTrytes(bundleTx);
-
-            // Absorb bundle hash + value + timestamp + lastIndex + currentIndex trytes.
-            Curl.absorb(Converter.trits(thisTxTrytes.slice(2187, 2187 + 162)), state)
-
-            // Check if input transaction
-            if (bundleTx.value < 0) {
-                var thisAddress = bundleTx.address;
-
-                var newSignatureToValidate = {
-                    'address': thisAddress,
-                    'signatureFragments': Array(bundleTx.signatureMessageFragment)
-                }
-
-                // Find the subsequent txs with the remaining signature fragment
-                for (var i = index; i < bundle.length - 1; i++) {
-                    var newBundleTx = bundle[i + 1];
-
-                    // Check if new tx is part of the signature fragment
-                    if (newBundleTx.address === thisAddress && newBundleTx.value === 0) {
-                        newSignatureToValidate.signatureFragments.push(newBundleTx.signatureMessageFragment);
-                    }
-                }
-
-                signaturesToValidate.push(newSignatureToValidate);
-            }
-        });
-
-        // Check for total sum, if not equal 0 return error
-        if (totalSum !== 0) return callback(new Error("Invalid Bundle Sum"));
-
-        Curl.squeeze(bundleFromTxs, state);
-        var bundleFromTxs = Converter.trytes(bundleFromTxs);
-
-        // Check if bundle hash is the same as returned by tx object
-        if (bundleFromTxs !== bundleHash) return callback(new Error("Invalid Bundle Hash"));
-
-        // Last tx in the bundle should have currentIndex === lastIndex
-        if (bundle[bundle.length - 1].currentIndex !== bundle[bundle.length - 1].lastIndex) return callback(new Error("Invalid Bundle"));
-
-        // Validate the signatures
-        for (var i = 0; i < signaturesToValidate.length; i++) {
-
-            var isValidSignature = Signing.validateSignatures(signaturesToValidate[i].address, signaturesToValidate[i].signatureFragments, bundleHash);
-
-            if (!isValidSignature) return callback(new Error("Invalid Signatures!"));
-        }
-
-        // Return bundle element
-        return callback(null, bundle);
+        // Transactions of the validated bundle, ordered by currentIndex
+        return callback(null, report.transactions);
     })
 }
 
@@ -1291,10 +1544,11 @@ api.prototype.getBundle = function(transaction, callback) {
 
 /**
 *   @method getTransfers
-*   @param {string} seed
+*   @param {string|object} seed Seed or signer
 *   @param {object} options
 *       @property {int} start Starting key index
 *       @property {int} end Ending key index
+*       @property {int} security Security level of the addresses. Defaults to 2
 *       @property {bool} inclusionStates
 *   @param {function} callback
 *   @returns {object} success
@@ -1303,10 +1557,11 @@ api.prototype.getTransfers = function(seed, options, callback) {
 
     var self = this;
 
-    // If no options provided, switch arguments
-    if (arguments.length === 2 && Object.prototype.toString.call(options) === "[object Function]") {
-        callback = options;
-        options = {};
+    // Options are optional, the callback is put in place by promisify
+    var options = options || {};
+
+    if (seedError(seed)) {
+        return callback(seedError(seed));
     }
 
     var start = options.start || 0;
@@ -1316,7 +1571,7 @@ api.prototype.getTransfers = function(seed, options, callback) {
     // If start value bigger than end, return error
     // or if difference between end and start is bigger than 500 keys
     if (start > end || end > (start + 500)) {
-        return callback(new Error("Invalid inputs provided"))
+        return callback(errors.invalidInputs("end"))
     }
 
 
@@ -1327,6 +1582,7 @@ api.prototype.getTransfers = function(seed, options, callback) {
 
     var addressOptions = {
         index: start,
+        security: options.security || 2,
         total: end ? end - start : null,
         returnAll: true
     }
@@ -1346,8 +1602,8 @@ api.prototype.getTransfers = function(seed, options, callback) {
             transactionObjects.forEach(function(thisTransaction) {
 
                 // Sort tail and nonTails
-                if (thisTransaction.currentIndex === 0) {
-                    tailTransactions.add(thisTransaction.hash);
+                if (thisTransaction.isTail()) {
+                    tailTransactions.add(thisTransaction.hash());
                 } else {
                     nonTailBundleHashes.add(thisTransaction.bundle)
                 }
@@ -1358,9 +1614,9 @@ api.prototype.getTransfers = function(seed, options, callback) {
 
                 bundleObjects.forEach(function(thisTransaction) {
 
-                    if (thisTransaction.currentIndex === 0) {
+                    if (thisTransaction.isTail()) {
 
-                        tailTransactions.add(thisTransaction.hash);
+                        tailTransactions.add(thisTransaction.hash());
                     }
                 })
 
@@ -1378,11 +1634,9 @@ api.prototype.getTransfers = function(seed, options, callback) {
                      })
                 }, function(error, results) {
 
-                    // credit: http://stackoverflow.com/a/8837505
-                    // Sort by timestamp
+                    // Sort by the timestamp of the tail transactions
                     finalBundles.sort(function(a, b) {
-                        var x = parseInt(a[0]['timestamp']); var y = parseInt(b[0]['timestamp']);
-                        return ((x < y) ? -1 : ((x > y) ? 1 : 0));
+                        return a[0].timestamp - b[0].timestamp;
                     });
 
                     return callback(error, finalBundles);
@@ -1448,5 +1702,45 @@ api.prototype.readMessage = function(options, callback) {
         return
     }
 }
+/**
+*   Every public method returns a Promise when it is called without a callback
+**/
+var promisedMethods = [
+    'sendCommand',
+    'attachToTangle',
+    'localAttachToTangle',
+    'findTransactions',
+    'getBalances',
+    'getInclusionStates',
+    'getNodeInfo',
+    'getNeighbors',
+    'addNeighbors',
+    'removeNeighbors',
+    'getTips',
+    'getTransactionsToApprove',
+    'getTrytes',
+    'interruptAttachingToTangle',
+    'broadcastTransactions',
+    'storeTransactions',
+    'broadcastAndStore',
+    'getTransactionsObjects',
+    'sendTrytes',
+    'sendTransfer',
+    'replayTransfer',
+    'wereAddressesSpentFrom',
+    'getNewAddress',
+    'getInputs',
+    'prepareTransfers',
+    'prepareUnsignedTransfers',
+    'signTransfers',
+    'traverseBundle',
+    'getBundle',
+    'getTransfers'
+];
+
+promisedMethods.forEach(function(method) {
+
+    api.prototype[method] = promisify(api.prototype[method]);
+})
 
 module.exports = api;
@@ -0,0 +1,302 @@
+/**
+**      Binary encoded ternary (BCT) variant of Curl, which hashes up to 32
+**      independent inputs at once. Every trit of the state is represented
+**      by two 32 bit integers, low and high, where bit k belongs to input k:
+**
+**          trit -1:  low 1, high 0
+**          trit  0:  low 1, high 1
+**          trit  1:  low 0, high 1
+**
+**      The transform then works on all 32 inputs with a few bit operations
+**      instead of a lookup in the truth table.
+**/
+
+var STATE_LENGTH = 729;
+var HASH_LENGTH = 243;
+var NUMBER_OF_ROUNDS = 27;
+
+// Number of inputs which are hashed at once, one per bit
+var LANES = 32;
+
+// Same positions as in Curl.transform
+var indices = new Int16Array(STATE_LENGTH + 1);
+
+for (var i = 0, index = 0; i <= STATE_LENGTH; i++) {
+
+    indices[i] = index;
+    index += (index < 365 ? 364 : -365);
+}
+
+// Second buffers of the rounds, reused by every transform
+var scratchpadLow = new Int32Array(STATE_LENGTH);
+var scratchpadHigh = new Int32Array(STATE_LENGTH);
+
+/**
+*   Initializes the state with 729 zero trits in all lanes
+*
+*   @method initialize
+*   @param {object} state (optional) state with low and high, a new state is created otherwise
+*   @returns {object} state
+**/
+var initialize = function(state) {
+
+    var state = state || {
+        'low'   : new Int32Array(STATE_LENGTH),
+        'high'  : new Int32Array(STATE_LENGTH)
+    };
+
+    for (var i = 0; i < STATE_LENGTH; i++) {
+
+        state.low[i] = -1;
+        state.high[i] = -1;
+    }
+
+    return state;
+}
+
+/**
+*
+*   @method absorb
+*   @param {object} data low and high of the encoded trits
+*   @param {object} state
+**/
+var absorb = function(data, state) {
+
+    for (var i = 0; i < data.low.length; ) {
+
+        var j = 0;
+
+        while (i < data.low.length && j < HASH_LENGTH) {
+
+            state.low[j] = data.low[i];
+            state.high[j++] = data.high[i++];
+        }
+
+        transform(state);
+    }
+}
+
+/**
+*
+*   @method squeeze
+*   @param {object} data low and high, receives 243 encoded trits
+*   @param {object} state
+**/
+var squeeze = function(data, state) {
+
+    for (var i = 0; i < HASH_LENGTH; i++) {
+
+        data.low[i] = state.low[i];
+        data.high[i] = state.high[i];
+    }
+
+    transform(state);
+}
+
+/**
+*
+*   @method transform
+*   @param {object} state
+**/
+var transform = function(state) {
+
+    var fromLow = state.low, fromHigh = state.high;
+    var toLow = scratchpadLow, toHigh = scratchpadHigh;
+    var swap;
+
+    for (var round = 0; round < NUMBER_OF_ROUNDS; round++) {
+
+        for (var i = 0; i < STATE_LENGTH; i++) {
+
+            var alpha = fromLow[indices[i]];
+            var beta = fromHigh[indices[i]];
+            var gamma = fromHigh[indices[i + 1]];
+            var delta = (alpha | ~gamma) & (fromLow[indices[i + 1]] ^ beta);
+
+            toLow[i] = ~delta;
+            toHigh[i] = (alpha ^ gamma) | delta;
+        }
+
+        swap = fromLow;
+        fromLow = toLow;
+        toLow = swap;
+
+        swap = fromHigh;
+        fromHigh = toHigh;
+        toHigh = swap;
+    }
+
+    // With an odd number of rounds the result ends up in the scratchpad
+    for (var i = 0; i < STATE_LENGTH; i++) {
+
+        state.low[i] = fromLow[i];
+        state.high[i] = fromHigh[i];
+    }
+}
+
+/**
+*   Encodes up to 32 trit arrays of the same length, array k goes into bit k
+*
+*   @method encode
+*   @param {Array} tritsList
+*   @returns {object} low and high
+**/
+var encode = function(tritsList) {
+
+    var length = tritsList[0].length;
+    var data = {
+        'low'   : new Int32Array(length),
+        'high'  : new Int32Array(length)
+    };
+
+    for (var k = 0; k < tritsList.length; k++) {
+
+        var trits = tritsList[k];
+        var bit = 1 << k;
+
+        for (var i = 0; i < length; i++) {
+
+            if (trits[i] !== 1) data.low[i] |= bit;
+            if (trits[i] !== -1) data.high[i] |= bit;
+        }
+    }
+
+    return data;
+}
+
+/**
+*   Decodes the trits of the first count lanes
+*
+*   @method decode
+*   @param {object} data low and high
+*   @param {int} count Number of lanes to decode
+*   @returns {Array} tritsList
+**/
+var decode = function(data, count) {
+
+    var tritsList = [];
+
+    for (var k = 0; k < count; k++) {
+
+        var trits = new Int8Array(data.low.length);
+
+        for (var i = 0; i < data.low.length; i++) {
+
+            trits[i] = decodeTrit(data.low[i], data.high[i], k);
+        }
+
+        tritsList.push(trits);
+    }
+
+    return tritsList;
+}
+
+/**
+*   Decodes a single trit of a lane
+*
+*   @method decodeTrit
+*   @param {int} low
+*   @param {int} high
+*   @param {int} lane
+*   @returns {int} trit
+**/
+var decodeTrit = function(low, high, lane) {
+
+    var lowBit = (low >>> lane) & 1;
+    var highBit = (high >>> lane) & 1;
+
+    return highBit - lowBit;
+}
+
+/**
+*   Hashes any number of trit arrays of the same length, 32 at a time.
+*   Same result as initialize, absorb and squeeze with Curl for each of them
+*
+*   @method hashBatch
+*   @param {Array} tritsList
+*   @returns {Array} list of 243 trit hashes
+**/
+var hashBatch = function(tritsList) {
+
+    var hashes = [];
+    var state = initialize();
+    var hash = {
+        'low'   : new Int32Array(HASH_LENGTH),
+        'high'  : new Int32Array(HASH_LENGTH)
+    };
+
+    for (var offset = 0; offset < tritsList.length; offset += LANES) {
+
+        var batch = tritsList.slice(offset, offset + LANES);
+
+        initialize(state);
+        absorb(encode(batch), state);
+        squeeze(hash, state);
+
+        hashes = hashes.concat(decode(hash, batch.length));
+    }
+
+    return hashes;
+}
+
+/**
+*   Hashes every 243 trit chunk rounds times in a row, 32 chunks at a time.
+*   This is the expensive part of Signing.digests
+*
+*   @method hashChunks
+*   @param {Array} chunks list of 243 trit arrays
+*   @param {int} rounds
+*   @returns {Array} list of 243 trit hashes
+**/
+var hashChunks = function(chunks, rounds) {
+
+    var hashes = [];
+    var state = initialize();
+
+    for (var offset = 0; offset < chunks.length; offset += LANES) {
+
+        var batch = chunks.slice(offset, offset + LANES);
+        var data = encode(batch);
+
+        for (var r = 0; r < rounds; r++) {
+
+            // Same as initialize, absorb and squeeze, without the
+            // transform after squeezing which would be discarded
+            for (var i = 0; i < HASH_LENGTH; i++) {
+
+                state.low[i] = data.low[i];
+                state.high[i] = data.high[i];
+            }
+            for (var i = HASH_LENGTH; i < STATE_LENGTH; i++) {
+
+                state.low[i] = -1;
+                state.high[i] = -1;
+            }
+
+            transform(state);
+
+            for (var i = 0; i < HASH_LENGTH; i++) {
+
+                data.low[i] = state.low[i];
+                data.high[i] = state.high[i];
+            }
+        }
+
+        hashes = hashes.concat(decode(data, batch.length));
+    }
+
+    return hashes;
+}
+
+module.exports = {
+    LANES       : LANES,
+    initialize  : initialize,
+    absorb      : absorb,
+    squeeze     : squeeze,
+    transform   : transform,
+    encode      : encode,
+    decode      : decode,
+    decodeTrit  : decodeTrit,
+    hashBatch   : hashBatch,
+    hashChunks  : hashChunks
+};
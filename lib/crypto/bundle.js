@@ -1,7 +1,11 @@
 var Curl = require("./curl");
 var Converter = require("./converter");
+var Transaction = require("./transaction");
 
 /**
+*   Transactions of a bundle, ordered by currentIndex. Bundles are either
+*   created with addEntry, addTrytes and finalize, or read from the
+*   transactions of an existing bundle
 *
 *   @constructor bundle
 **/
@@ -11,6 +15,41 @@ function Bundle() {
     this.bundle = [];
 }
 
+/**
+*   Bundle of transaction trytes, in any order
+*
+*   @method fromTrytes
+*   @param {array} trytes
+*   @returns {Bundle}
+**/
+Bundle.fromTrytes = function(trytes) {
+
+    return Bundle.fromTransactions(trytes.map(function(transactionTrytes) {
+        return Transaction.fromTrytes(transactionTrytes);
+    }));
+}
+
+/**
+*   Bundle of transaction objects or instances, in any order. The
+*   transactions are copied, the originals stay untouched
+*
+*   @method fromTransactions
+*   @param {array} transactions
+*   @returns {Bundle}
+**/
+Bundle.fromTransactions = function(transactions) {
+
+    var bundle = new Bundle();
+
+    bundle.bundle = transactions.map(function(tx) {
+        return new Transaction(tx);
+    }).sort(function(a, b) {
+        return a.currentIndex - b.currentIndex;
+    })
+
+    return bundle;
+}
+
 /**
 *
 *
@@ -19,11 +58,12 @@ Bundle.prototype.addEntry = function(signatureMessageLength, address, value, tag
 
     for (var i = 0; i < signatureMessageLength; i++) {
 
-        var transactionObject = new Object();
-        transactionObject.address = address;
-        transactionObject.value = i == 0 ? value : 0;
-        transactionObject.tag = tag;
-        transactionObject.timestamp = timestamp;
+        var transactionObject = new Transaction({
+            'address': address,
+            'value': i == 0 ? value : 0,
+            'tag': tag,
+            'timestamp': timestamp
+        });
 
         this.bundle[this.bundle.length] = transactionObject;
     }
@@ -66,34 +106,18 @@ Bundle.prototype.addTrytes = function(signatureFragments) {
 **/
 Bundle.prototype.finalize = function() {
 
-    var state = Curl.initialize(state);
+    var state = Curl.initialize();
 
     for (var i = 0; i < this.bundle.length; i++) {
 
-        var valueTrits = Converter.trits(this.bundle[i].value);
-        while (valueTrits.length < 81) {
-            valueTrits[valueTrits.length] = 0;
-        }
-
-        var timestampTrits = Converter.trits(this.bundle[i].timestamp);
-        while (timestampTrits.length < 27) {
-            timestampTrits[timestampTrits.length] = 0;
-        }
+        this.bundle[i].currentIndex = i;
+        this.bundle[i].lastIndex = this.bundle.length - 1;
 
-        var currentIndexTrits = Converter.trits(this.bundle[i].currentIndex = i);
-        while (currentIndexTrits.length < 27) {
-            currentIndexTrits[currentIndexTrits.length] = 0;
-        }
-
-        var lastIndexTrits = Converter.trits(this.bundle[i].lastIndex = this.bundle.length - 1);
-        while (lastIndexTrits.length < 27) {
-            lastIndexTrits[lastIndexTrits.length] = 0;
-        }
-
-        Curl.absorb(Converter.trits(this.bundle[i].address + Converter.trytes(valueTrits) + this.bundle[i].tag + Converter.trytes(timestampTrits) + Converter.trytes(currentIndexTrits) + Converter.trytes(lastIndexTrits)), state);
+        // Plain transaction objects are accepted as well
+        Curl.absorb(Converter.trits(new Transaction(this.bundle[i]).essence()), state);
     }
 
-    var hash = [];
+    var hash = new Int8Array(243);
     Curl.squeeze(hash, state);
     hash = Converter.trytes(hash);
 
@@ -103,6 +127,150 @@ Bundle.prototype.finalize = function() {
     }
 }
 
+/**
+*   @method bundleHash
+*   @returns {string} bundle hash of the transactions, null if empty
+**/
+Bundle.prototype.bundleHash = function() {
+
+    return this.bundle.length ? this.bundle[0].bundle : null;
+}
+
+/**
+*   Sum of all values, 0 for a valid bundle
+*
+*   @method totalValue
+*   @returns {BigInt}
+**/
+Bundle.prototype.totalValue = function() {
+
+    return this.bundle.reduce(function(sum, tx) {
+        return sum + tx.value;
+    }, BigInt(0));
+}
+
+/**
+*   Input transactions, the ones with a negative value
+*
+*   @method inputs
+*   @returns {array} transactions
+**/
+Bundle.prototype.inputs = function() {
+
+    return this.bundle.filter(function(tx) {
+        return tx.value < 0;
+    })
+}
+
+/**
+*   Output transactions with a value, without the remainder
+*
+*   @method outputs
+*   @returns {array} transactions
+**/
+Bundle.prototype.outputs = function() {
+
+    var remainder = this.remainder();
+
+    return this.bundle.filter(function(tx) {
+        return tx.value > 0 && tx !== remainder;
+    })
+}
+
+/**
+*   The remainder follows the inputs in bundles of prepareTransfers,
+*   an output after the first input is taken as the remainder
+*
+*   @method remainder
+*   @returns {object} transaction, null if there is none
+**/
+Bundle.prototype.remainder = function() {
+
+    var input = false;
+
+    for (var i = 0; i < this.bundle.length; i++) {
+
+        if (this.bundle[i].value < 0) input = true;
+        if (input && this.bundle[i].value > 0) return this.bundle[i];
+    }
+
+    return null;
+}
+
+/**
+*   Signature fragments of every input. The fragments of security levels
+*   above 1 are in the directly following transactions of the same address,
+*   multisig inputs have one for each security level of every co-signer
+*
+*   @method signatureGroups
+*   @returns {array} groups with address, index of the input and signatureFragments
+**/
+Bundle.prototype.signatureGroups = function() {
+
+    var bundle = this.bundle;
+    var groups = [];
+
+    bundle.forEach(function(tx, index) {
+
+        if (tx.value >= 0) return;
+
+        var group = {
+            'address': tx.address,
+            'index': index,
+            'signatureFragments': [tx.signatureMessageFragment]
+        };
+
+        for (var i = index + 1; i < bundle.length; i++) {
+
+            if (bundle[i].address !== tx.address || bundle[i].value !== BigInt(0)) break;
+
+            group.signatureFragments.push(bundle[i].signatureMessageFragment);
+        }
+
+        groups.push(group);
+    })
+
+    return groups;
+}
+
+/**
+*   Message fragments, the signatureMessageFragments of all
+*   transactions which do not belong to a signature
+*
+*   @method messageFragments
+*   @returns {array} fragments in the order of the transactions
+**/
+Bundle.prototype.messageFragments = function() {
+
+    var signatures = [];
+
+    this.signatureGroups().forEach(function(group) {
+        for (var i = 0; i < group.signatureFragments.length; i++) {
+            signatures[group.index + i] = true;
+        }
+    })
+
+    return this.bundle.filter(function(tx, index) {
+        return !signatures[index];
+    }).map(function(tx) {
+        return tx.signatureMessageFragment;
+    })
+}
+
+/**
+*   Trytes of the transactions, the tail transaction last as the node
+*   expects them in attachToTangle and sendTrytes
+*
+*   @method toTrytes
+*   @returns {array} trytes
+**/
+Bundle.prototype.toTrytes = function() {
+
+    return this.bundle.map(function(tx) {
+        return new Transaction(tx).toTrytes();
+    }).reverse();
+}
+
 /**
 *   Normalizes the bundle hash
 *
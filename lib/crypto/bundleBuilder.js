@@ -0,0 +1,315 @@
+var Transfers = require("./transfers");
+var Utils = require("../utils/utils");
+var inputValidator = require("../utils/inputValidator");
+var errors = require("../errors/inputErrors");
+var bundleErrors = require("../errors/bundleErrors");
+
+// Largest value of the 33 value trits, which is the total supply
+var MAX_VALUE = (BigInt(3) ** BigInt(33) - BigInt(1)) / BigInt(2);
+
+/**
+*   Builds unsigned bundles step by step, instead of assembling the
+*   transfers array of prepareTransfers by hand. Every step is validated
+*   right away and build throws before anything is sent to a node:
+*
+*       new BundleBuilder()
+*           .addOutput(address, 100, { 'tag': 'PAYMENT' })
+*           .addInput({ 'address': input, 'keyIndex': 3, 'balance': 150 })
+*           .setRemainder(remainderAddress)
+*           .build()
+*
+*   @constructor BundleBuilder
+*   @param {object} options
+*       @property {int} security Security level of inputs without one. Defaults to 2
+*       @property {int} maxTransactions Optional, largest number of transactions build accepts
+**/
+function BundleBuilder(options) {
+
+    var options = options || {};
+
+    if (options.security !== undefined && !inputValidator.isSecurity(options.security)) {
+        throw errors.invalidSecurity(options.security);
+    }
+
+    if (options.maxTransactions !== undefined && !(Number.isInteger(options.maxTransactions) && options.maxTransactions > 0)) {
+        throw errors.notInt("maxTransactions");
+    }
+
+    this.security = options.security || 2;
+    this.maxTransactions = options.maxTransactions;
+
+    this.outputs = [];
+    this.inputs = [];
+    this.remainderAddress = null;
+}
+
+/**
+*   Adds an output, a transfer of value and an optional message
+*
+*   @method addOutput
+*   @param {string} address With or without checksum
+*   @param {int|string|BigInt} value 0 for a message only
+*   @param {object} options
+*       @property {string} message Trytes of any length
+*       @property {string} tag Up to 27 trytes
+*   @returns {BundleBuilder} this
+**/
+BundleBuilder.prototype.addOutput = function(address, value, options) {
+
+    var options = options || {};
+    var message = options.message || '';
+    var tag = options.tag || '';
+
+    address = checkAddress(address, "address");
+
+    if (!isValue(value)) {
+        throw errors.invalidValue("value");
+    }
+
+    if (!inputValidator.isTrytes(message, "0,")) {
+        throw errors.invalidTrytes("message");
+    }
+
+    if (!inputValidator.isTrytes(tag, "0,27")) {
+        throw errors.invalidTrytes("tag");
+    }
+
+    value = BigInt(value);
+
+    if (value > 0) checkReuse(this.inputs, address);
+
+    this.outputs.push({
+        'address': address,
+        'value': value,
+        'message': message,
+        'tag': tag
+    });
+
+    return this;
+}
+
+/**
+*   Adds an output which only carries data, without any value
+*
+*   @method addDataOnly
+*   @param {string} address With or without checksum
+*   @param {string} payload Trytes, longer payloads take several transactions
+*   @param {object} options
+*       @property {string} tag Up to 27 trytes
+*   @returns {BundleBuilder} this
+**/
+BundleBuilder.prototype.addDataOnly = function(address, payload, options) {
+
+    var options = options || {};
+
+    if (!inputValidator.isTrytes(payload, "1,")) {
+        throw errors.invalidTrytes("payload");
+    }
+
+    return this.addOutput(address, 0, {
+        'message': payload,
+        'tag': options.tag
+    });
+}
+
+/**
+*   Adds an input, as returned by getInputs
+*
+*   @method addInput
+*   @param {object} input
+*       @property {string} address With or without checksum
+*       @property {int} keyIndex
+*       @property {int} security Optional, the security level of the builder otherwise
+*       @property {int|string|BigInt} balance
+*   @returns {BundleBuilder} this
+**/
+BundleBuilder.prototype.addInput = function(input) {
+
+    if (!inputValidator.isObject(input)) {
+        throw errors.invalidInputs("input");
+    }
+
+    var address = checkAddress(input.address, "input");
+
+    if (!inputValidator.isInputs([input]) || !(Number.isInteger(input.keyIndex) && input.keyIndex >= 0)) {
+        throw errors.invalidInputs("input");
+    }
+
+    if (!isValue(input.balance) || BigInt(input.balance) === BigInt(0)) {
+        throw errors.invalidValue("balance");
+    }
+
+    // Inputs must differ from each other and from every value output
+    checkReuse(this.inputs, address);
+    checkReuse(this.outputs.filter(function(output) {
+        return output.value > 0;
+    }), address);
+
+    if (address === this.remainderAddress) {
+        throw errors.duplicateAddress(address);
+    }
+
+    this.inputs.push({
+        'address': address,
+        'keyIndex': input.keyIndex,
+        'security': input.security || this.security,
+        'balance': BigInt(input.balance)
+    });
+
+    return this;
+}
+
+/**
+*   Sets the address which receives the balance of the inputs
+*   which is not transferred
+*
+*   @method setRemainder
+*   @param {string} address With or without checksum
+*   @returns {BundleBuilder} this
+**/
+BundleBuilder.prototype.setRemainder = function(address) {
+
+    address = checkAddress(address, "remainderAddress");
+
+    checkReuse(this.inputs, address);
+
+    this.remainderAddress = address;
+
+    return this;
+}
+
+/**
+*   Value of the outputs
+*
+*   @method totalValue
+*   @returns {BigInt}
+**/
+BundleBuilder.prototype.totalValue = function() {
+
+    return this.outputs.reduce(function(sum, output) {
+        return sum + output.value;
+    }, BigInt(0));
+}
+
+/**
+*   Balance of the inputs
+*
+*   @method totalBalance
+*   @returns {BigInt}
+**/
+BundleBuilder.prototype.totalBalance = function() {
+
+    return this.inputs.reduce(function(sum, input) {
+        return sum + input.balance;
+    }, BigInt(0));
+}
+
+/**
+*   Number of transactions the bundle needs: one for every started 2187
+*   trytes of a message, one for every security level of an input and
+*   one for the remainder
+*
+*   @method transactionCount
+*   @returns {int}
+**/
+BundleBuilder.prototype.transactionCount = function() {
+
+    var count = 0;
+
+    this.outputs.forEach(function(output) {
+        count += Math.max(1, Math.ceil(output.message.length / 2187));
+    })
+
+    this.inputs.forEach(function(input) {
+        count += input.security;
+    })
+
+    if (this.inputs.length && this.totalBalance() > this.totalValue()) {
+        count += 1;
+    }
+
+    return count;
+}
+
+/**
+*   Builds the unsigned bundle, which can be signed with signTransfers
+*
+*   @method build
+*   @returns {object} unsignedBundle, see Transfers.buildBundle
+**/
+BundleBuilder.prototype.build = function() {
+
+    if (!this.outputs.length) {
+        throw errors.invalidTransfers();
+    }
+
+    var totalValue = this.totalValue();
+    var totalBalance = this.totalBalance();
+
+    if (totalValue > MAX_VALUE) {
+        throw errors.invalidValue("value");
+    }
+
+    if (totalBalance > MAX_VALUE) {
+        throw errors.invalidValue("balance");
+    }
+
+    if (totalBalance < totalValue) {
+        throw errors.notEnoughBalance(totalBalance, totalValue);
+    }
+
+    if (totalBalance > totalValue && !this.remainderAddress) {
+        throw errors.noRemainderAddress();
+    }
+
+    var transactions = this.transactionCount();
+
+    if (this.maxTransactions && transactions > this.maxTransactions) {
+        throw bundleErrors.bundleTooLarge(transactions, this.maxTransactions);
+    }
+
+    return Transfers.buildBundle(this.outputs, this.inputs, this.remainderAddress, this.security);
+}
+
+/**
+*   @method checkAddress
+*   @param {string} address
+*   @param {string} field Reported if the address is invalid
+*   @returns {string} address without checksum
+**/
+var checkAddress = function(address, field) {
+
+    if (inputValidator.isTrytes(address, 90) && !Utils.isValidChecksum(address)) {
+        throw errors.invalidChecksum(address);
+    }
+
+    if (!inputValidator.isAddress(address)) {
+        throw errors.invalidTrytes(field);
+    }
+
+    return Utils.noChecksum(address);
+}
+
+/**
+*   @method checkReuse
+*   @param {array} entries Outputs or inputs
+*   @param {string} address Without checksum
+**/
+var checkReuse = function(entries, address) {
+
+    entries.forEach(function(entry) {
+        if (entry.address === address) throw errors.duplicateAddress(address);
+    })
+}
+
+/**
+*   @method isValue
+*   @param {int|string|BigInt} value
+*   @returns {bool} true if a non-negative integer within the total supply
+**/
+var isValue = function(value) {
+
+    return inputValidator.isValue(value) && BigInt(value) <= MAX_VALUE;
+}
+
+module.exports = BundleBuilder;
@@ -1,3 +1,5 @@
+var Ternary = require("./ternary");
+
 /**
 *
 *   Conversion functions
@@ -38,49 +40,41 @@ var trytesTrits = [
     [-1,  0,  0]
 ];
 
+// Index into trytesTrits by character code of the tryte
+var tryteIndexes = new Int8Array(128).fill(-1);
+for (var i = 0; i < trytesAlphabet.length; i++) {
+    tryteIndexes[trytesAlphabet.charCodeAt(i)] = i;
+}
+
 /**
 *   Converts trytes into trits
 *
 *   @method trits
-*   @param {String|Int} input Tryte value to be converted. Can either be string or int
+*   @param {String|Int|BigInt} input Tryte value to be converted. Can either be string, int or BigInt
 *   @param {Array} state (optional) state to be modified
-*   @returns {Array} trits
+*   @returns {Array} trits Int8Array for trytes, Array of variable length for integers
 **/
 var trits = function(input, state) {
 
-    var trits = state || [];
-
-    if (Number.isInteger(input)) {
-
-        var absoluteValue = input < 0 ? -input : input;
+    if (Number.isInteger(input) || typeof input === 'bigint') {
 
-        while (absoluteValue > 0) {
+        var trits = state || [];
+        var valueTrits = Ternary.fromBigInt(BigInt(input));
 
-            var remainder = absoluteValue % 3;
-            absoluteValue = Math.floor(absoluteValue / 3);
+        for (var i = 0; i < valueTrits.length; i++) {
 
-            if (remainder > 1) {
-                remainder = -1;
-                absoluteValue++;
-            }
-
-            trits[trits.length] = remainder;
-        }
-        if (input < 0) {
-
-            for (var i = 0; i < trits.length; i++) {
-
-                trits[i] = -trits[i];
-            }
+            trits[trits.length] = valueTrits[i];
         }
     } else {
 
+        var trits = state || new Int8Array(input.length * 3);
+
         for (var i = 0; i < input.length; i++) {
 
-            var index = trytesAlphabet.indexOf(input.charAt(i));
-            trits[i * 3] = trytesTrits[index][0];
-            trits[i * 3 + 1] = trytesTrits[index][1];
-            trits[i * 3 + 2] = trytesTrits[index][2];
+            var tryteTrits = trytesTrits[tryteIndexes[input.charCodeAt(i) & 127]];
+            trits[i * 3] = tryteTrits[0];
+            trits[i * 3 + 1] = tryteTrits[1];
+            trits[i * 3 + 2] = tryteTrits[2];
         }
     }
 
@@ -98,44 +92,47 @@ var trytes = function(trits) {
 
     var trytes = "";
 
-    for (var i = 0; i < trits.length; i += 3) {
+    for (var i = 0; i + 2 < trits.length; i += 3) {
 
-        // Iterate over all possible tryte values to find correct trit representation
-        for (var j = 0; j < trytesAlphabet.length; j++) {
+        // The value of the three trits is the index into the alphabet,
+        // negative values count from the end
+        var index = trits[i] + trits[i + 1] * 3 + trits[i + 2] * 9;
 
-            if (trytesTrits[j][0] == trits[i] && trytesTrits[j][1] == trits[i + 1] && trytesTrits[j][2] == trits[i + 2]) {
-
-                trytes += trytesAlphabet.charAt(j);
-                break;
-            }
-        }
+        trytes += trytesAlphabet.charAt(index < 0 ? index + 27 : index);
     }
 
     return trytes;
 }
 
 /**
-*   Converts trits into an integer value
+*   Converts trits into an integer value. Only exact up to
+*   Number.MAX_SAFE_INTEGER, i.e. 33 trits, see bigValue
 *
 *   @method value
 *   @param {Array} trits
-*   @returns {String} trytes
+*   @returns {Int} value
 **/
 var value = function(trits) {
 
-    var value = 0;
-
-    for (var i = trits.length; i-- > 0; ) {
+    return Number(Ternary.toBigInt(trits));
+}
 
-        value = value * 3 + trits[i];
-    }
+/**
+*   Converts trits of any length into an exact integer value
+*
+*   @method bigValue
+*   @param {Array} trits
+*   @returns {BigInt} value
+**/
+var bigValue = function(trits) {
 
-    return value;
+    return Ternary.toBigInt(trits);
 }
 
 
 module.exports = {
-    trits   : trits,
-    trytes  : trytes,
-    value   : value
+    trits       : trits,
+    trytes      : trytes,
+    value       : value,
+    bigValue    : bigValue
 };
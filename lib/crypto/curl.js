@@ -4,20 +4,40 @@ var Converter = require("./converter");
 **      Cryptographic related functions to IOTA's Curl (sponge function)
 **/
 
+var STATE_LENGTH = 729;
+var HASH_LENGTH = 243;
+var NUMBER_OF_ROUNDS = 27;
+
 // truth table
-var truthTable = [1, 0, -1, 1, -1, 0, -1, 1, 0];
+var truthTable = new Int8Array([1, 0, -1, 1, -1, 0, -1, 1, 0]);
+
+// Positions which are combined in every round: the new state[i] is
+// calculated from state[indices[i]] and state[indices[i + 1]]
+var indices = new Int16Array(STATE_LENGTH + 1);
+
+for (var i = 0, index = 0; i <= STATE_LENGTH; i++) {
+
+    indices[i] = index;
+    index += (index < 365 ? 364 : -365);
+}
+
+// Second buffer of the rounds, reused by every transform
+var scratchpad = new Int8Array(STATE_LENGTH);
 
 /**
 *   Initializes the state with 729 trits
 *
 *   @method initialize
+*   @param {Array} state (optional) state to be reset, a new Int8Array is created otherwise
 *   @returns {Array} state
 **/
 var initialize = function(state) {
 
-    var state = state || [];
+    if (!state) {
+        return new Int8Array(STATE_LENGTH);
+    }
 
-    for (var i = 0; i < 729; i++) {
+    for (var i = 0; i < STATE_LENGTH; i++) {
         state[i] = 0;
     }
 
@@ -34,7 +54,7 @@ var absorb = function(data, state) {
 
         var j = 0;
 
-        while (i < data.length && j < 243) {
+        while (i < data.length && j < HASH_LENGTH) {
 
             state[j++] = data[i++];
         }
@@ -49,7 +69,7 @@ var absorb = function(data, state) {
 **/
 var squeeze = function(data, state) {
 
-    for (var i = 0; i < 243; i++) {
+    for (var i = 0; i < HASH_LENGTH; i++) {
 
         data[i] = state[i];
     }
@@ -58,21 +78,35 @@ var squeeze = function(data, state) {
 }
 
 /**
+*   Every round reads from one buffer and writes into the other,
+*   the result of the last round is copied back into the state
 *
 *   @method transform
 **/
 var transform = function(state) {
 
-    var stateCopy = [], index = 0;
+    var from = state, to = scratchpad, swap;
 
-    for (var round = 0; round < 27; round++) {
+    for (var round = 0; round < NUMBER_OF_ROUNDS; round++) {
 
-        stateCopy = state.slice();
+        var current = from[0];
 
-        for (var i = 0; i < 729; i++) {
+        for (var i = 0; i < STATE_LENGTH; i++) {
 
-            state[i] = truthTable[stateCopy[index] + stateCopy[index += (index < 365 ? 364 : -365)] * 3 + 4];
+            var next = from[indices[i + 1]];
+            to[i] = truthTable[current + next * 3 + 4];
+            current = next;
         }
+
+        swap = from;
+        from = to;
+        to = swap;
+    }
+
+    // With an odd number of rounds the result ends up in the scratchpad
+    for (var i = 0; i < STATE_LENGTH; i++) {
+
+        state[i] = from[i];
     }
 }
 
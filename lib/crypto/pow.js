@@ -0,0 +1,263 @@
+var Curl = require("./curl");
+var BctCurl = require("./bctCurl");
+var Converter = require("./converter");
+var Ternary = require("./ternary");
+
+/**
+**      Local Proof of Work, does what attachToTangle does on the node
+**/
+
+/**
+*   Searches a nonce so that the last minWeightMagnitude trits of the
+*   transaction hash are 0. The state of everything before the nonce
+*   is absorbed once, so that every attempt only needs a single transform
+*
+*   @method searchNonce
+*   @param {Array} transactionTrits 8019 trits of the transaction
+*   @param {int} minWeightMagnitude
+*   @param {object} options
+*       @property {int} offset Written into the last 81 trits of the nonce, so that
+*                   searches with different offsets never try the same nonce
+*       @property {int} progressInterval Number of attempts between onProgress calls
+*       @property {function} onProgress Called with the number of attempts,
+*                   returning false stops the search
+*       @property {bool} bct Try 32 nonces at once with BctCurl
+*   @returns {Array} nonce 243 trits, or null if the search was stopped
+**/
+var searchNonce = function(transactionTrits, minWeightMagnitude, options) {
+
+    var options = options || {};
+
+    if (options.bct) {
+        return searchNonceBct(transactionTrits, minWeightMagnitude, options);
+    }
+
+    var progressInterval = options.progressInterval || 6561;
+
+    var state = Curl.initialize();
+    Curl.absorb(transactionTrits.slice(0, 7776), state);
+
+    var nonce = new Int8Array(243), attempt = Curl.initialize(), attempts = 0;
+
+    if (options.offset) {
+
+        var offsetTrits = Converter.trits(options.offset);
+        for (var i = 0; i < offsetTrits.length; i++) {
+            nonce[162 + i] = offsetTrits[i];
+        }
+    }
+
+    while (true) {
+
+        if (options.onProgress && ++attempts % progressInterval === 0) {
+
+            if (options.onProgress(attempts) === false) return null;
+        }
+
+        attempt.set(state);
+
+        for (var i = 0; i < 243; i++) {
+            attempt[i] = nonce[i];
+        }
+
+        Curl.transform(attempt);
+
+        // Check the trailing trits of the hash
+        var valid = true;
+        for (var i = 243 - minWeightMagnitude; i < 243; i++) {
+
+            if (attempt[i] !== 0) {
+                valid = false;
+                break;
+            }
+        }
+
+        if (valid) return nonce;
+
+        Ternary.increment(nonce);
+    }
+}
+
+/**
+*   Same as searchNonce, but every attempt tries one nonce per lane of
+*   BctCurl. The lanes differ in the first 4 trits of the nonce, which
+*   hold the lane number, the remaining trits are shared by all lanes
+*
+*   @method searchNonceBct
+*   @param {Array} transactionTrits
+*   @param {int} minWeightMagnitude
+*   @param {object} options Same as searchNonce
+*   @returns {Array} nonce 243 trits, or null if the search was stopped
+**/
+var searchNonceBct = function(transactionTrits, minWeightMagnitude, options) {
+
+    var progressInterval = options.progressInterval || 6561;
+    var nextProgress = progressInterval;
+    var LANE_TRITS = 4;
+
+    var scalarState = Curl.initialize();
+    Curl.absorb(transactionTrits.slice(0, 7776), scalarState);
+
+    // The same state in every lane
+    var state = BctCurl.encode([scalarState]);
+    for (var i = 0; i < state.low.length; i++) {
+
+        state.low[i] = state.low[i] ? -1 : 0;
+        state.high[i] = state.high[i] ? -1 : 0;
+    }
+
+    // Lane k starts its nonce with the trits of k - 16
+    var laneTrits = [];
+    for (var k = 0; k < BctCurl.LANES; k++) {
+
+        var trits = new Int8Array(243);
+        trits.set(Converter.trits(k - 16));
+        laneTrits.push(trits);
+    }
+    var lanes = BctCurl.encode(laneTrits);
+
+    var nonce = new Int8Array(243), attempts = 0;
+    var attempt = {
+        'low'   : new Int32Array(729),
+        'high'  : new Int32Array(729)
+    };
+
+    if (options.offset) {
+
+        var offsetTrits = Converter.trits(options.offset);
+        for (var i = 0; i < offsetTrits.length; i++) {
+            nonce[162 + i] = offsetTrits[i];
+        }
+    }
+
+    while (true) {
+
+        attempts += BctCurl.LANES;
+
+        if (options.onProgress && attempts >= nextProgress) {
+
+            nextProgress += progressInterval;
+            if (options.onProgress(attempts) === false) return null;
+        }
+
+        attempt.low.set(state.low);
+        attempt.high.set(state.high);
+
+        for (var i = 0; i < LANE_TRITS; i++) {
+
+            attempt.low[i] = lanes.low[i];
+            attempt.high[i] = lanes.high[i];
+        }
+
+        for (var i = LANE_TRITS; i < 243; i++) {
+
+            attempt.low[i] = nonce[i] !== 1 ? -1 : 0;
+            attempt.high[i] = nonce[i] !== -1 ? -1 : 0;
+        }
+
+        BctCurl.transform(attempt);
+
+        // Lanes in which all trailing trits of the hash are 0
+        var valid = -1;
+        for (var i = 243 - minWeightMagnitude; i < 243 && valid !== 0; i++) {
+
+            valid &= attempt.low[i] & attempt.high[i];
+        }
+
+        if (valid !== 0) {
+
+            var lane = 31 - Math.clz32(valid & -valid);
+
+            for (var i = 0; i < LANE_TRITS; i++) {
+                nonce[i] = laneTrits[lane][i];
+            }
+
+            return nonce;
+        }
+
+        // Increment the shared part of the nonce
+        Ternary.increment(nonce, LANE_TRITS);
+    }
+}
+
+/**
+*   Calculates the hash of the transaction trytes
+*
+*   @method transactionHash
+*   @param {string} transactionTrytes
+*   @returns {string} hash
+**/
+var transactionHash = function(transactionTrytes) {
+
+    var state = Curl.initialize();
+    var hash = new Int8Array(243);
+
+    Curl.absorb(Converter.trits(transactionTrytes), state);
+    Curl.squeeze(hash, state);
+
+    return Converter.trytes(hash);
+}
+
+/**
+*   Attaches the transactions to the tangle the same way the node does:
+*   the first transaction approves trunk and branch, every following
+*   transaction approves the previous one and the trunkTransaction.
+*   Transactions are expected in the order in which prepareTransfers
+*   returns them, the attached trytes are returned in reverse order
+*
+*   @method attachToTangle
+*   @param {string} trunkTransaction
+*   @param {string} branchTransaction
+*   @param {int} minWeightMagnitude
+*   @param {array} trytes
+*   @param {object} options
+*       @property {bool} bct Search the nonces with BctCurl
+*   @returns {array} attached trytes
+**/
+var attachToTangle = function(trunkTransaction, branchTransaction, minWeightMagnitude, trytes, options) {
+
+    var options = options || {};
+
+    var previousTransaction = null;
+    var attached = [];
+
+    for (var i = 0; i < trytes.length; i++) {
+
+        var transactionTrytes = chainTransaction(trytes[i], trunkTransaction, branchTransaction, previousTransaction);
+
+        var transactionTrits = Converter.trits(transactionTrytes);
+        var nonce = searchNonce(transactionTrits, minWeightMagnitude, { 'bct': options.bct });
+
+        transactionTrytes += Converter.trytes(nonce);
+
+        previousTransaction = transactionHash(transactionTrytes);
+        attached.push(transactionTrytes);
+    }
+
+    return attached.reverse();
+}
+
+/**
+*   Replaces trunk and branch of a transaction the same way attachToTangle
+*   does and returns the trytes up to the nonce
+*
+*   @method chainTransaction
+*   @param {string} transactionTrytes
+*   @param {string} trunkTransaction
+*   @param {string} branchTransaction
+*   @param {string} previousTransaction Hash of the previously attached transaction, if any
+*   @returns {string} trytes without nonce
+**/
+var chainTransaction = function(transactionTrytes, trunkTransaction, branchTransaction, previousTransaction) {
+
+    return transactionTrytes.slice(0, 2430)
+            + (previousTransaction ? previousTransaction : trunkTransaction)
+            + (previousTransaction ? trunkTransaction : branchTransaction);
+}
+
+module.exports = {
+    searchNonce         : searchNonce,
+    transactionHash     : transactionHash,
+    chainTransaction    : chainTransaction,
+    attachToTangle      : attachToTangle
+};
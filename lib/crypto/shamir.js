@@ -0,0 +1,266 @@
+var Curl = require("./curl");
+var Converter = require("./converter");
+var Ternary = require("./ternary");
+var Seed = require("../utils/seed");
+var errors = require("../errors/inputErrors");
+
+/**
+**      Shamir secret sharing of seeds. The seed is the constant term of a
+**      random polynomial of degree threshold - 1 over the prime field of
+**      P = 3^243 + 2, the smallest prime above all 243 trit values. Every
+**      share is a point of the polynomial, encoded as 95 trytes:
+**
+**          index (2) | threshold (2) | value (82) | checksum (9)
+**
+**      The checksum is the last 9 trytes of the Curl hash of everything
+**      before it, the same way getChecksum works for addresses
+**/
+
+var ZERO = BigInt(0);
+var ONE = BigInt(1);
+var THREE = BigInt(3);
+
+var P = THREE ** BigInt(243) + BigInt(2);
+
+// Offset between the balanced seed value and the field element
+var HALF = (THREE ** BigInt(243) - ONE) / BigInt(2);
+
+var MAX_SHARES = 364;
+var SHARE_LENGTH = 95;
+
+/**
+*   Trytes of a small number, padded to the length
+*
+*   @method smallNumberTrytes
+*   @param {int} value
+*   @param {int} length in trytes
+*   @returns {string} trytes
+**/
+var smallNumberTrytes = function(value, length) {
+
+    return Converter.trytes(Ternary.fromBigInt(BigInt(value), length * 3));
+}
+
+/**
+*   @method mod
+*   @param {BigInt} value
+*   @returns {BigInt} value modulo P, never negative
+**/
+var mod = function(value) {
+
+    var result = value % P;
+    return result < ZERO ? result + P : result;
+}
+
+/**
+*   Modular inverse with the extended euclidean algorithm
+*
+*   @method inverse
+*   @param {BigInt} value
+*   @returns {BigInt} inverse
+**/
+var inverse = function(value) {
+
+    var a = mod(value), b = P;
+    var x0 = ONE, x1 = ZERO;
+
+    while (b > ZERO) {
+
+        var quotient = a / b;
+        var swap = b;
+        b = a - quotient * b;
+        a = swap;
+
+        swap = x1;
+        x1 = x0 - quotient * x1;
+        x0 = swap;
+    }
+
+    return mod(x0);
+}
+
+/**
+*   Uniformly random field element, with rejection sampling
+*
+*   @method randomElement
+*   @returns {BigInt}
+**/
+var randomElement = function() {
+
+    // P has 386 bits
+    var mask = (ONE << BigInt(386)) - ONE;
+
+    while (true) {
+
+        var bytes = Seed.randomBytes(49);
+        var value = ZERO;
+
+        for (var i = 0; i < bytes.length; i++) {
+            value = (value << BigInt(8)) | BigInt(bytes[i]);
+        }
+
+        value &= mask;
+
+        if (value < P) return value;
+    }
+}
+
+/**
+*   @method checksum
+*   @param {string} trytes
+*   @returns {string} 9 trytes
+**/
+var checksum = function(trytes) {
+
+    var state = Curl.initialize();
+    var hash = new Int8Array(243);
+
+    Curl.absorb(Converter.trits(trytes), state);
+    Curl.squeeze(hash, state);
+
+    return Converter.trytes(hash).slice(-9);
+}
+
+/**
+*   Splits a seed into shares, any threshold of them recover the seed
+*
+*   @method split
+*   @param {string} seed
+*   @param {int} total Number of shares, up to 364
+*   @param {int} threshold Number of shares required to recover the seed
+*   @returns {array} shares 95 trytes each
+**/
+var split = function(seed, total, threshold) {
+
+    var seed = Seed.normalizeSeed(seed);
+
+    if (!Number.isInteger(total) || total < 1 || total > MAX_SHARES) {
+        throw errors.notInt("total");
+    }
+
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > total) {
+        throw errors.notInt("threshold");
+    }
+
+    var coefficients = [Ternary.toBigInt(Converter.trits(seed)) + HALF];
+
+    for (var i = 1; i < threshold; i++) {
+        coefficients.push(randomElement());
+    }
+
+    var shares = [];
+
+    for (var index = 1; index <= total; index++) {
+
+        // Horner's method
+        var x = BigInt(index);
+        var y = ZERO;
+
+        for (var i = coefficients.length - 1; i >= 0; i--) {
+            y = mod(y * x + coefficients[i]);
+        }
+
+        var share = smallNumberTrytes(index, 2)
+            + smallNumberTrytes(threshold, 2)
+            + Converter.trytes(Ternary.fromBigInt(y, 246));
+
+        shares.push(share + checksum(share));
+    }
+
+    return shares;
+}
+
+/**
+*   Decodes and verifies a share
+*
+*   @method parseShare
+*   @param {string} share
+*   @returns {object} index, threshold and value
+**/
+var parseShare = function(share) {
+
+    if (typeof share !== 'string' || share.length !== SHARE_LENGTH || !/^[9A-Z]+$/.test(share)) {
+        throw errors.invalidShare(share);
+    }
+
+    if (checksum(share.slice(0, 86)) !== share.slice(86)) {
+        throw errors.invalidShareChecksum(share);
+    }
+
+    return {
+        'index': Converter.value(Converter.trits(share.slice(0, 2))),
+        'threshold': Converter.value(Converter.trits(share.slice(2, 4))),
+        'value': Ternary.toBigInt(Converter.trits(share.slice(4, 86)))
+    };
+}
+
+/**
+*   Recovers the seed of the shares
+*
+*   @method combine
+*   @param {array} shares At least threshold shares of the same split
+*   @returns {string} seed
+**/
+var combine = function(shares) {
+
+    var points = [];
+    var indexes = {};
+
+    shares.forEach(function(share) {
+
+        var point = parseShare(share);
+
+        // All shares have to belong to the same split
+        if (points.length && point.threshold !== points[0].threshold) {
+            throw errors.invalidShare(share);
+        }
+
+        // Duplicates do not add any information
+        if (!indexes[point.index]) {
+            indexes[point.index] = true;
+            points.push(point);
+        }
+    })
+
+    if (!points.length || points.length < points[0].threshold) {
+        throw errors.notEnoughShares(points.length, points.length ? points[0].threshold : null);
+    }
+
+    var threshold = points[0].threshold;
+
+    points = points.slice(0, threshold);
+
+    // Lagrange interpolation at x = 0
+    var secret = ZERO;
+
+    for (var i = 0; i < points.length; i++) {
+
+        var numerator = ONE, denominator = ONE;
+        var xi = BigInt(points[i].index);
+
+        for (var j = 0; j < points.length; j++) {
+
+            if (i === j) continue;
+
+            var xj = BigInt(points[j].index);
+            numerator = mod(numerator * -xj);
+            denominator = mod(denominator * (xi - xj));
+        }
+
+        secret = mod(secret + points[i].value * numerator * inverse(denominator));
+    }
+
+    // The two largest field elements do not belong to any seed. Shares of
+    // different splits can not be detected otherwise and give a wrong seed
+    if (secret >= THREE ** BigInt(243)) {
+        throw errors.invalidShare(null);
+    }
+
+    return Converter.trytes(Ternary.fromBigInt(secret - HALF, 243));
+}
+
+module.exports = {
+    split       : split,
+    combine     : combine,
+    parseShare  : parseShare
+};
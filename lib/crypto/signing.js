@@ -1,37 +1,55 @@
 var Curl = require("./curl");
+var BctCurl = require("./bctCurl");
 var Converter = require("./converter");
+var Ternary = require("./ternary");
 var Bundle = require("./bundle");
 
 /**
 *           Signing related functions
 *
 **/
-var key = function(seed, index, length) {
 
-    var subseed = seed.slice();
+/**
+*   Hashes a single chunk of 243 trits in place. Same as initialize, absorb
+*   and squeeze, but without the transform at the end of squeeze, as the
+*   state is discarded right after anyway
+*
+*   @method hashChunk
+*   @param {Array} buffer 243 trits
+*   @param {Array} state 729 trits, used as working memory
+**/
+var hashChunk = function(buffer, state) {
 
-    for (var i = 0; i < index; i++) {
+    for (var i = 0; i < 243; i++) {
+        state[i] = buffer[i];
+    }
+    for (var i = 243; i < 729; i++) {
+        state[i] = 0;
+    }
 
-        for (var j = 0; j < 243; j++) {
+    Curl.transform(state);
 
-            if (++subseed[j] > 1) {
+    for (var i = 0; i < 243; i++) {
+        buffer[i] = state[i];
+    }
+}
+var key = function(seed, index, length) {
 
-                subseed[j] = -1;
-            } else {
+    // At least 243 trits, as squeeze writes a full hash into the subseed.
+    // Shorter seeds are padded with 0s, longer ones are absorbed in full
+    var subseed = new Int8Array(Math.max(243, seed.length));
+    subseed.set(seed);
 
-                break;
-            }
-        }
-    }
+    // Index added to the first 243 trits, wrapped around to 243 trits
+    subseed.set(Ternary.add(subseed.subarray(0, 243), Ternary.fromBigInt(BigInt(index))).subarray(0, 243));
 
-    var state = [];
-    Curl.initialize(state);
+    var state = Curl.initialize();
     Curl.absorb(subseed, state);
     Curl.squeeze(subseed, state);
     Curl.initialize(state);
     Curl.absorb(subseed, state);
 
-    var key = [], offset = 0, buffer = [];
+    var key = new Int8Array(length * 27 * 243), offset = 0, buffer = new Int8Array(243);
 
     while (length-- > 0) {
 
@@ -48,14 +66,21 @@ var key = function(seed, index, length) {
 }
 
 /**
+*   Calculates the digest of every key fragment
 *
-*
+*   @method digests
+*   @param {Array} key
+*   @param {bool} bct Hash the 27 parts of the fragments in parallel with BctCurl
+*   @returns {Array} digests
 **/
-var digests = function(key) {
+var digests = function(key, bct) {
 
-    var keyFragment = [], digests = [], buffer = [], state = [];
+    if (bct) return digestsBct(key);
 
-    for (var i = 0; i < Math.floor(key.length / 6561); i++) {
+    var numberOfFragments = Math.floor(key.length / 6561);
+    var keyFragment, buffer, digests = new Int8Array(numberOfFragments * 243), state = Curl.initialize();
+
+    for (var i = 0; i < numberOfFragments; i++) {
 
         keyFragment = key.slice(i * 6561, (i + 1) * 6561);
 
@@ -64,9 +89,7 @@ var digests = function(key) {
             buffer = keyFragment.slice(j * 243, (j + 1) * 243);
             for (var k = 0; k < 26; k++) {
 
-                Curl.initialize(state);
-                Curl.absorb(buffer, state);
-                Curl.squeeze(buffer, state);
+                hashChunk(buffer, state);
             }
             for (var k = 0; k < 243; k++) {
 
@@ -86,24 +109,63 @@ var digests = function(key) {
     return digests;
 }
 
+/**
+*   Same as digests, but all parts of all key fragments are hashed
+*   in batches of 32 with BctCurl
+*
+*   @method digestsBct
+*   @param {Array} key
+*   @returns {Array} digests
+**/
+var digestsBct = function(key) {
+
+    var numberOfFragments = Math.floor(key.length / 6561);
+    var chunks = [], keyFragments = [];
+
+    for (var i = 0; i < numberOfFragments * 27; i++) {
+
+        chunks.push(key.slice(i * 243, (i + 1) * 243));
+    }
+
+    var hashedChunks = BctCurl.hashChunks(chunks, 26);
+
+    for (var i = 0; i < numberOfFragments; i++) {
+
+        var keyFragment = new Int8Array(6561);
+
+        for (var j = 0; j < 27; j++) {
+
+            keyFragment.set(hashedChunks[i * 27 + j], j * 243);
+        }
+
+        keyFragments.push(keyFragment);
+    }
+
+    var fragmentDigests = BctCurl.hashBatch(keyFragments);
+    var digests = new Int8Array(numberOfFragments * 243);
+
+    for (var i = 0; i < numberOfFragments; i++) {
+
+        digests.set(fragmentDigests[i], i * 243);
+    }
+
+    return digests;
+}
+
 /**
 *
 *
 **/
 var digest = function(normalizedBundleFragment, signatureFragment) {
 
-    var buffer = [], state = [], state2 = [];
-
-    Curl.initialize(state);
+    var buffer, state = Curl.initialize(), state2 = Curl.initialize();
 
     for (var i = 0; i< 27; i++) {
         buffer = signatureFragment.slice(i * 243, (i + 1) * 243);
 
         for (var j = normalizedBundleFragment[i] + 13; j-- > 0; ) {
 
-            Curl.initialize(state2);
-            Curl.absorb(buffer, state2);
-            Curl.squeeze(buffer, state2);
+            hashChunk(buffer, state2);
         }
 
         Curl.absorb(buffer, state);
@@ -120,7 +182,7 @@ var digest = function(normalizedBundleFragment, signatureFragment) {
 **/
 var signatureFragment = function(normalizedBundleFragment, keyFragment) {
 
-    var signatureFragment = keyFragment.slice(), state = [], hash = [];
+    var signatureFragment = keyFragment.slice(), state = Curl.initialize(), hash;
 
     for (var i = 0; i < 27; i++) {
 
@@ -128,9 +190,7 @@ var signatureFragment = function(normalizedBundleFragment, keyFragment) {
 
         for (var j = 0; j < 13 - normalizedBundleFragment[i]; j++) {
 
-            Curl.initialize(state);
-            Curl.absorb(hash, state);
-            Curl.squeeze(hash, state);
+            hashChunk(hash, state);
         }
 
         for (var j = 0; j < 243; j++) {
@@ -143,16 +203,21 @@ var signatureFragment = function(normalizedBundleFragment, keyFragment) {
 }
 
 /**
+*   Validates the signature of an input. There is one signature fragment
+*   per security level, fragment i signs the i-th 27 trytes of the
+*   normalized bundle hash
 *
-*
+*   @method validateSignatures
+*   @param {string} expectedAddress
+*   @param {array} signatureFragments 1 to 3 signature fragments in trytes
+*   @param {string} bundleHash
+*   @returns {bool}
 **/
 var validateSignatures = function(expectedAddress, signatureFragments, bundleHash) {
 
     var self = this;
     var bundle = new Bundle();
 
-    console.log("166", bundleHash);
-
     var normalizedBundleFragments = [];
     var normalizedBundleHash = bundle.normalizedBundle(bundleHash);
 
@@ -177,13 +242,18 @@ var validateSignatures = function(expectedAddress, signatureFragments, bundleHas
 }
 
 /**
+*   Calculates the address of the digests
 *
-*
+*   @method address
+*   @param {Array} digests With bct a list of digests of the same security level, which are hashed in parallel
+*   @param {bool} bct
+*   @returns {Array} address trits, or a list of addresses with bct
 **/
-var address = function(digests) {
+var address = function(digests, bct) {
 
-    var address = [], state = [];
-    Curl.initialize(state);
+    if (bct) return BctCurl.hashBatch(digests);
+
+    var address = new Int8Array(243), state = Curl.initialize();
     Curl.absorb(digests, state);
     Curl.squeeze(address, state);
     return address;
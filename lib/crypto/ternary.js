@@ -0,0 +1,209 @@
+var errors = require("../errors/inputErrors");
+
+/**
+**      Balanced ternary arithmetic on trit arrays. Trits are -1, 0 or 1,
+**      least significant trit first, the same order as the integers of
+**      Converter and the transaction fields. Arrays can be plain Arrays
+**      or Int8Arrays, results are Int8Arrays
+**/
+
+var THREE = BigInt(3);
+
+/**
+*   Adds 1 in place, e.g. to step through nonces or subseeds
+*
+*   @method increment
+*   @param {Array} trits
+*   @param {int} offset Optional, the trits before it are left untouched
+*   @returns {bool} true if the trits overflowed and wrapped around to the smallest value
+**/
+var increment = function(trits, offset) {
+
+    for (var i = offset || 0; i < trits.length; i++) {
+
+        if (++trits[i] > 1) {
+
+            trits[i] = -1;
+        } else {
+
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+*   @method add
+*   @param {Array} a
+*   @param {Array} b
+*   @returns {Int8Array} sum, one trit longer than the longer summand so that it never overflows
+**/
+var add = function(a, b) {
+
+    var length = Math.max(a.length, b.length) + 1;
+    var sum = new Int8Array(length);
+    var carry = 0;
+
+    for (var i = 0; i < length; i++) {
+
+        var digit = (a[i] || 0) + (b[i] || 0) + carry;
+
+        carry = digit > 1 ? 1 : digit < -1 ? -1 : 0;
+        sum[i] = digit - carry * 3;
+    }
+
+    return sum;
+}
+
+/**
+*   @method negate
+*   @param {Array} trits
+*   @returns {Int8Array} negated trits, balanced ternary only flips every trit
+**/
+var negate = function(trits) {
+
+    var negated = new Int8Array(trits.length);
+
+    for (var i = 0; i < trits.length; i++) {
+        negated[i] = -trits[i];
+    }
+
+    return negated;
+}
+
+/**
+*   @method subtract
+*   @param {Array} a
+*   @param {Array} b
+*   @returns {Int8Array} a - b, one trit longer than the longer operand
+**/
+var subtract = function(a, b) {
+
+    return add(a, negate(b));
+}
+
+/**
+*   Compares the values of the trits, the lengths may differ
+*
+*   @method compare
+*   @param {Array} a
+*   @param {Array} b
+*   @returns {int} -1, 0 or 1 if a is smaller, equal or larger than b
+**/
+var compare = function(a, b) {
+
+    // The most significant trit which differs decides, the trits
+    // below it can not add up to a whole unit of it
+    for (var i = Math.max(a.length, b.length) - 1; i >= 0; i--) {
+
+        var difference = (a[i] || 0) - (b[i] || 0);
+
+        if (difference !== 0) return difference < 0 ? -1 : 1;
+    }
+
+    return 0;
+}
+
+/**
+*   Multiplies by a power of 3. Negative counts divide, rounding to the
+*   nearest integer, as the dropped trits are worth less than half a unit
+*
+*   @method shift
+*   @param {Array} trits
+*   @param {int} count
+*   @returns {Int8Array} shifted trits
+**/
+var shift = function(trits, count) {
+
+    if (count < 0) return Int8Array.from(trits.slice(-count));
+
+    var shifted = new Int8Array(trits.length + count);
+    shifted.set(trits, count);
+
+    return shifted;
+}
+
+/**
+*   @method fits
+*   @param {Array} trits
+*   @param {int} length
+*   @returns {bool} true if all trits from the length on are 0
+**/
+var fits = function(trits, length) {
+
+    for (var i = length; i < trits.length; i++) {
+
+        if (trits[i] !== 0) return false;
+    }
+
+    return true;
+}
+
+/**
+*   @method toBigInt
+*   @param {Array} trits
+*   @returns {BigInt} value
+**/
+var toBigInt = function(trits) {
+
+    var value = BigInt(0);
+
+    for (var i = trits.length; i-- > 0; ) {
+
+        value = value * THREE + BigInt(trits[i]);
+    }
+
+    return value;
+}
+
+/**
+*   Encodes a value, either with as few trits as possible or with a
+*   fixed width, e.g. the length of a transaction field
+*
+*   @method fromBigInt
+*   @param {BigInt} value
+*   @param {int} length Optional, throws VALUE_OVERFLOW if the value does not fit
+*   @returns {Int8Array} trits
+**/
+var fromBigInt = function(value, length) {
+
+    var trits = [];
+    var absoluteValue = value < 0 ? -value : value;
+
+    while (absoluteValue > 0) {
+
+        var remainder = Number(absoluteValue % THREE);
+        absoluteValue = absoluteValue / THREE;
+
+        if (remainder > 1) {
+            remainder = -1;
+            absoluteValue++;
+        }
+
+        trits[trits.length] = value < 0 ? -remainder : remainder;
+    }
+
+    if (length === undefined) return Int8Array.from(trits);
+
+    if (trits.length > length) {
+        throw errors.valueOverflow(length);
+    }
+
+    var fixed = new Int8Array(length);
+    fixed.set(trits);
+
+    return fixed;
+}
+
+module.exports = {
+    increment   : increment,
+    add         : add,
+    negate      : negate,
+    subtract    : subtract,
+    compare     : compare,
+    shift       : shift,
+    fits        : fits,
+    toBigInt    : toBigInt,
+    fromBigInt  : fromBigInt
+};
@@ -0,0 +1,258 @@
+var Curl = require("./curl");
+var Converter = require("./converter");
+var Ternary = require("./ternary");
+var errors = require("../errors/inputErrors");
+
+/**
+**      Layout of the 2673 transaction trytes. Integers are stored as
+**      balanced ternary in the first trits of their field, the remaining
+**      trits have to be 0. Values are BigInts, so that they stay exact
+**      beyond Number.MAX_SAFE_INTEGER
+**/
+var LAYOUT = [
+    { 'field': 'signatureMessageFragment',  'offset': 0,    'length': 2187, 'type': 'trytes' },
+    { 'field': 'address',                   'offset': 2187, 'length': 81,   'type': 'trytes' },
+    { 'field': 'value',                     'offset': 2268, 'length': 27,   'type': 'bigint', 'trits': 33 },
+    { 'field': 'tag',                       'offset': 2295, 'length': 27,   'type': 'trytes' },
+    { 'field': 'timestamp',                 'offset': 2322, 'length': 9,    'type': 'int',  'trits': 27, 'min': 0 },
+    { 'field': 'currentIndex',              'offset': 2331, 'length': 9,    'type': 'int',  'trits': 27, 'min': 0 },
+    { 'field': 'lastIndex',                 'offset': 2340, 'length': 9,    'type': 'int',  'trits': 27, 'min': 0 },
+    { 'field': 'bundle',                    'offset': 2349, 'length': 81,   'type': 'trytes' },
+    { 'field': 'trunkTransaction',          'offset': 2430, 'length': 81,   'type': 'trytes' },
+    { 'field': 'branchTransaction',         'offset': 2511, 'length': 81,   'type': 'trytes' },
+    { 'field': 'nonce',                     'offset': 2592, 'length': 81,   'type': 'trytes' }
+];
+
+var TRANSACTION_LENGTH = 2673;
+
+/**
+*   Transaction of the Tangle. Fields which are left out are empty,
+*   i.e. 9s or 0. The value can be passed as int, decimal string or BigInt
+*
+*   @constructor Transaction
+*   @param {object} fields Any of the fields of the layout
+**/
+function Transaction(fields) {
+
+    var self = this;
+    var fields = fields || {};
+
+    LAYOUT.forEach(function(entry) {
+
+        if (fields[entry.field] === undefined) {
+            self[entry.field] = emptyField(entry);
+        } else if (entry.type === 'bigint') {
+            self[entry.field] = toBigInt(fields[entry.field]);
+        } else {
+            self[entry.field] = fields[entry.field];
+        }
+    })
+}
+
+Transaction.LAYOUT = LAYOUT;
+Transaction.LENGTH = TRANSACTION_LENGTH;
+
+/**
+*   Parses transaction trytes
+*
+*   @method fromTrytes
+*   @param {string} trytes 2673 trytes
+*   @returns {Transaction}
+**/
+Transaction.fromTrytes = function(trytes) {
+
+    if (typeof trytes !== 'string' || !/^[9A-Z]*$/.test(trytes) || trytes.length !== TRANSACTION_LENGTH) {
+        throw errors.invalidTrytes("trytes");
+    }
+
+    var fields = {};
+
+    LAYOUT.forEach(function(entry) {
+
+        var fieldTrytes = trytes.slice(entry.offset, entry.offset + entry.length);
+
+        if (entry.type === 'trytes') {
+            fields[entry.field] = fieldTrytes;
+            return;
+        }
+
+        var trits = Converter.trits(fieldTrytes);
+
+        // Trits beyond the integer have to be 0
+        if (!Ternary.fits(trits, entry.trits)) {
+            throw errors.invalidTransaction(entry.field);
+        }
+
+        var value = Ternary.toBigInt(trits);
+        fields[entry.field] = entry.type === 'bigint' ? value : Number(value);
+    })
+
+    return new Transaction(fields).validate();
+}
+
+/**
+*   Checks the length and range of every field
+*
+*   @method validate
+*   @returns {Transaction} this, throws INVALID_TRANSACTION with the field otherwise
+**/
+Transaction.prototype.validate = function() {
+
+    var self = this;
+
+    LAYOUT.forEach(function(entry) {
+
+        var value = self[entry.field];
+
+        if (entry.type === 'trytes') {
+
+            if (typeof value !== 'string' || value.length !== entry.length || !/^[9A-Z]*$/.test(value)) {
+                throw errors.invalidTransaction(entry.field);
+            }
+
+            return;
+        }
+
+        if (entry.type === 'bigint') {
+
+            var max = (BigInt(3) ** BigInt(entry.trits) - BigInt(1)) / BigInt(2);
+
+            if (typeof value !== 'bigint' || value < -max || value > max) {
+                throw errors.invalidTransaction(entry.field);
+            }
+
+            return;
+        }
+
+        var max = (Math.pow(3, entry.trits) - 1) / 2;
+        var min = entry.min !== undefined ? entry.min : -max;
+
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw errors.invalidTransaction(entry.field);
+        }
+    })
+
+    return self;
+}
+
+/**
+*   Serializes the transaction
+*
+*   @method toTrytes
+*   @returns {string} 2673 trytes
+**/
+Transaction.prototype.toTrytes = function() {
+
+    var self = this;
+
+    self.validate();
+
+    return LAYOUT.map(function(entry) {
+
+        if (entry.type === 'trytes') return self[entry.field];
+
+        return Converter.trytes(Ternary.fromBigInt(BigInt(self[entry.field]), entry.length * 3));
+    }).join('');
+}
+
+/**
+*   Trytes of the fields which the bundle hash covers, address to lastIndex
+*
+*   @method essence
+*   @returns {string} 162 trytes
+**/
+Transaction.prototype.essence = function() {
+
+    var start = fieldEntry('address').offset;
+    var end = fieldEntry('bundle').offset;
+
+    return this.toTrytes().slice(start, end);
+}
+
+/**
+*   Hash of the transaction trytes
+*
+*   @method hash
+*   @returns {string} 81 trytes
+**/
+Transaction.prototype.hash = function() {
+
+    var state = Curl.initialize();
+    var hash = new Int8Array(243);
+
+    Curl.absorb(Converter.trits(this.toTrytes()), state);
+    Curl.squeeze(hash, state);
+
+    return Converter.trytes(hash);
+}
+
+/**
+*   @method isTail
+*   @returns {bool} true if first transaction of its bundle
+**/
+Transaction.prototype.isTail = function() {
+
+    return this.currentIndex === 0;
+}
+
+/**
+*   Plain object of the fields and the hash, used by JSON.stringify.
+*   JSON has no BigInts, the value is a decimal string
+*
+*   @method toJSON
+*   @returns {object}
+**/
+Transaction.prototype.toJSON = function() {
+
+    var self = this;
+    var json = { 'hash': self.hash() };
+
+    LAYOUT.forEach(function(entry) {
+        json[entry.field] = entry.type === 'bigint' ? self[entry.field].toString() : self[entry.field];
+    })
+
+    return json;
+}
+
+/**
+*   @method fieldEntry
+*   @param {string} field
+*   @returns {object} entry of the layout
+**/
+var fieldEntry = function(field) {
+
+    return LAYOUT.filter(function(entry) {
+        return entry.field === field;
+    })[0];
+}
+
+/**
+*   Integers and decimal strings are converted, anything
+*   else is left for validate to reject
+*
+*   @method toBigInt
+*   @param {BigInt|int|string} value
+*   @returns {BigInt|*} value
+**/
+var toBigInt = function(value) {
+
+    if (Number.isInteger(value) || (typeof value === 'string' && /^-?[0-9]+$/.test(value))) {
+        return BigInt(value);
+    }
+
+    return value;
+}
+
+/**
+*   @method emptyField
+*   @param {object} entry of the layout
+*   @returns {string|int|BigInt} 9s or 0
+**/
+var emptyField = function(entry) {
+
+    if (entry.type === 'trytes') return new Array(entry.length + 1).join('9');
+
+    return entry.type === 'bigint' ? BigInt(0) : 0;
+}
+
+module.exports = Transaction;
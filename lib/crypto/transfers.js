@@ -0,0 +1,243 @@
+var Bundle = require("./bundle");
+var Utils = require("../utils/utils");
+var errors = require("../errors/inputErrors");
+var bundleErrors = require("../errors/bundleErrors");
+var signerErrors = require("../errors/signerErrors");
+var async = require("async");
+
+/**
+**      Bundle construction and signing of transfers, without any network
+**      access. Bundles can be built on an online machine and signed on an
+**      offline machine which holds the seed or another signer
+**/
+
+/**
+*   Adds the transfers as bundle entries, every started 2187 trytes
+*   of a message take one transaction
+*
+*   @method addTransfers
+*   @param {object} bundle
+*   @param {array} transfers
+*   @param {int} timestamp
+*   @returns {object} signatureFragments, totalValue as BigInt and tag of the last transfer
+**/
+var addTransfers = function(bundle, transfers, timestamp) {
+
+    var signatureFragments = [];
+    var totalValue = BigInt(0);
+    var tag;
+
+    for (var i = 0; i < transfers.length; i++) {
+
+        var message = transfers[i].message || '';
+        var fragments = 0;
+
+        do {
+
+            var fragment = message.slice(fragments * 2187, (fragments + 1) * 2187);
+
+            // Pad remainder of fragment
+            while (fragment.length < 2187) {
+                fragment += '9';
+            }
+
+            signatureFragments.push(fragment);
+        } while (++fragments * 2187 < message.length);
+
+        // Pad for required 27 tryte length
+        tag = transfers[i].tag || '';
+
+        while (tag.length < 27) {
+            tag += '9';
+        }
+
+        // Addresses of the bundle never have a checksum
+        bundle.addEntry(fragments, Utils.noChecksum(transfers[i].address), transfers[i].value, tag, timestamp);
+        totalValue += BigInt(transfers[i].value);
+    }
+
+    return {
+        'signatureFragments': signatureFragments,
+        'totalValue': totalValue,
+        'tag': tag
+    };
+}
+
+/**
+*   Builds the unsigned bundle of a transfer. The result only contains
+*   public data and can be serialized with Utils.stringify and passed to
+*   signBundle after JSON.parse. Checksums of the addresses are removed,
+*   they are not validated here
+*
+*   @method buildBundle
+*   @param {array} transfers
+*   @param {array} inputs Inputs with address, keyIndex, security and balance as int, string or BigInt
+*   @param {string} remainderAddress Required if the inputs exceed the transfers
+*   @param {int} security Security level of inputs without one
+*   @returns {object} unsignedBundle
+*       @property {string} bundleHash
+*       @property {array} inputs
+*       @property {string} remainderAddress
+*       @property {BigInt} remainder
+*       @property {array} transactions Transaction objects without signatures
+**/
+var buildBundle = function(transfers, inputs, remainderAddress, security) {
+
+    var bundle = new Bundle();
+    var timestamp = Math.floor(Date.now() / 1000);
+
+    var outputs = addTransfers(bundle, transfers, timestamp);
+    var totalBalance = BigInt(0);
+
+    inputs = inputs.map(function(input) {
+
+        totalBalance += BigInt(input.balance);
+
+        return {
+            'address': Utils.noChecksum(input.address),
+            'keyIndex': input.keyIndex,
+            'security': input.security || security || 2,
+            'balance': BigInt(input.balance)
+        };
+    })
+
+    if (totalBalance < outputs.totalValue) {
+        throw errors.notEnoughBalance(totalBalance, outputs.totalValue);
+    }
+
+    // Add inputs as bundle entries, one transaction per signature fragment
+    inputs.forEach(function(input) {
+
+        bundle.addEntry(input.security, input.address, -input.balance, outputs.tag, timestamp);
+    })
+
+    var remainder = inputs.length ? totalBalance - outputs.totalValue : BigInt(0);
+
+    // Remaining funds of the inputs go to the remainder address
+    if (remainder > 0) {
+
+        if (!remainderAddress) {
+            throw errors.noRemainderAddress();
+        }
+
+        remainderAddress = Utils.noChecksum(remainderAddress);
+
+        bundle.addEntry(1, remainderAddress, remainder, outputs.tag, timestamp);
+    }
+
+    bundle.finalize();
+    bundle.addTrytes(outputs.signatureFragments);
+
+    return {
+        'bundleHash': bundle.bundle[0].bundle,
+        'inputs': inputs,
+        'remainderAddress': remainder > 0 ? remainderAddress : null,
+        'remainder': remainder,
+        'transactions': bundle.bundle
+    };
+}
+
+/**
+*   Signs the inputs of an unsigned bundle with a signer. Before signing,
+*   the bundle hash is recalculated and the input addresses are requested
+*   from the signer, so that nothing but the described transfer is signed
+*
+*   @method signBundle
+*   @param {object} signer
+*   @param {object} unsignedBundle Result of buildBundle
+*   @param {function} callback Called with error and the signed bundle trytes, ready for sendTrytes
+**/
+var signBundle = function(signer, unsignedBundle, callback) {
+
+    // Work on a copy, the unsigned bundle stays untouched
+    var bundle = Bundle.fromTransactions(unsignedBundle.transactions);
+
+    bundle.finalize();
+
+    var bundleHash = bundle.bundle[0].bundle;
+
+    if (bundleHash !== unsignedBundle.bundleHash) {
+        return callback(bundleErrors.invalidBundleHash(unsignedBundle.bundleHash));
+    }
+
+    var normalizedBundleHash = bundle.normalizedBundle(bundleHash);
+
+    // Indexes of the input transactions
+    var inputIndexes = [];
+    bundle.bundle.forEach(function(tx, index) {
+        if (tx.value < 0) inputIndexes.push(index);
+    })
+
+    async.eachSeries(inputIndexes, function(i, cb) {
+
+        var thisAddress = bundle.bundle[i].address;
+        var input = null;
+
+        for (var k = 0; k < unsignedBundle.inputs.length; k++) {
+
+            if (unsignedBundle.inputs[k].address === thisAddress) {
+
+                input = unsignedBundle.inputs[k];
+                break;
+            }
+        }
+
+        if (!input) {
+            return cb(errors.invalidInputs("inputs"));
+        }
+
+        // The input has to belong to the signer
+        signer.getAddress(input.keyIndex, input.security, function(error, address) {
+
+            if (error) return cb(error);
+
+            if (address !== Utils.noChecksum(thisAddress)) {
+                return cb(signerErrors.addressMismatch(thisAddress, input.keyIndex));
+            }
+
+            //  Every key fragment signs 27 trytes of the normalized bundle hash.
+            //  The signature is > 2187 trytes, so it continues in the following
+            //  transactions which were added for this input
+            var bundleFragments = [];
+            for (var j = 0; j < input.security; j++) {
+                bundleFragments.push(normalizedBundleHash.slice(j * 27, (j + 1) * 27));
+            }
+
+            signer.signFragments(input.keyIndex, bundleFragments, function(error, signatureFragments) {
+
+                if (error) return cb(error);
+
+                for (var j = 0; j < input.security; j++) {
+                    bundle.bundle[i + j].signatureMessageFragment = signatureFragments[j];
+                }
+
+                return cb();
+            })
+        })
+    }, function(error) {
+
+        if (error) return callback(error);
+
+        return callback(null, bundle.toTrytes());
+    })
+}
+
+/**
+*   Converts the transaction objects of a bundle into trytes,
+*   in the order in which sendTrytes expects them
+*
+*   @method bundleTrytes
+*   @param {array} transactions
+*   @returns {array} trytes
+**/
+var bundleTrytes = function(transactions) {
+
+    return Bundle.fromTransactions(transactions).toTrytes();
+}
+
+module.exports = {
+    addTransfers    : addTransfers,
+    buildBundle     : buildBundle,
+    signBundle      : signBundle,
+    bundleTrytes    : bundleTrytes
+};
@@ -0,0 +1,151 @@
+var Curl = require("./curl");
+var Converter = require("./converter");
+var Signing = require("./signing");
+var Transaction = require("./transaction");
+var Bundle = require("./bundle");
+var errors = require("../errors/bundleErrors");
+
+/**
+**      Offline validation of bundles, of the transaction objects of
+**      getBundle as well as of raw trytes of a bundle which was built
+**      locally or received from somebody else. Every failed check is
+**      reported, together with the transaction index it failed on:
+**
+**          EMPTY           there are no transactions
+**          TRYTES          trytes or fields are not a transaction, with the field
+**          CURRENT_INDEX   currentIndex is missing or appears twice
+**          LAST_INDEX      lastIndex differs from the number of transactions
+**          SUM             values do not add up to 0
+**          BUNDLE_HASH     bundle hash differs from the hash of the transactions
+**          SIGNATURE       signature of an input is invalid, with its address
+**/
+
+/**
+*   Validates a bundle without any network access. The transactions
+*   can be in any order, e.g. reversed as returned by prepareTransfers
+*
+*   @method validateBundle
+*   @param {array} bundle Transaction trytes or objects
+*   @returns {object} report
+*       @property {bool} valid
+*       @property {string} bundleHash Hash of the transactions, null if it could not be calculated
+*       @property {array} errors Failed checks with check, index and address or the values which failed
+*       @property {array} transactions Transaction instances, ordered by currentIndex
+**/
+var validateBundle = function(bundle) {
+
+    var report = {
+        'valid': false,
+        'bundleHash': null,
+        'errors': [],
+        'transactions': []
+    };
+
+    if (!bundle || !bundle.length) {
+
+        report.errors.push({ 'check': 'EMPTY', 'index': null });
+        return report;
+    }
+
+    for (var i = 0; i < bundle.length; i++) {
+
+        try {
+
+            var tx = typeof bundle[i] === 'string' ? Transaction.fromTrytes(bundle[i]) : new Transaction(bundle[i]).validate();
+        } catch(error) {
+
+            report.errors.push({ 'check': 'TRYTES', 'index': i, 'field': error.field });
+            continue;
+        }
+
+        report.transactions.push(tx);
+    }
+
+    if (report.errors.length) return report;
+
+    var parsed = Bundle.fromTransactions(report.transactions);
+    var transactions = parsed.bundle;
+
+    report.transactions = transactions;
+
+    var lastIndex = transactions.length - 1;
+    var totalSum = parsed.totalValue();
+    var state = Curl.initialize();
+
+    transactions.forEach(function(tx, index) {
+
+        if (tx.currentIndex !== index) {
+            report.errors.push({ 'check': 'CURRENT_INDEX', 'index': index, 'currentIndex': tx.currentIndex });
+        }
+
+        if (tx.lastIndex !== lastIndex) {
+            report.errors.push({ 'check': 'LAST_INDEX', 'index': index, 'lastIndex': tx.lastIndex });
+        }
+
+        // Absorb address + value + tag + timestamp + currentIndex + lastIndex trytes
+        Curl.absorb(Converter.trits(tx.essence()), state);
+    })
+
+    if (totalSum !== BigInt(0)) {
+        report.errors.push({ 'check': 'SUM', 'index': null, 'sum': totalSum });
+    }
+
+    var hash = new Int8Array(243);
+    Curl.squeeze(hash, state);
+    report.bundleHash = Converter.trytes(hash);
+
+    transactions.forEach(function(tx, index) {
+
+        if (tx.bundle !== report.bundleHash) {
+            report.errors.push({ 'check': 'BUNDLE_HASH', 'index': index, 'bundleHash': tx.bundle });
+        }
+    })
+
+    // Signatures are validated against the hash of the transactions,
+    // not against the bundle hash which the transactions claim
+    parsed.signatureGroups().forEach(function(group) {
+
+        if (!Signing.validateSignatures(group.address, group.signatureFragments, report.bundleHash)) {
+            report.errors.push({ 'check': 'SIGNATURE', 'index': group.index, 'address': group.address });
+        }
+    })
+
+    report.valid = report.errors.length === 0;
+
+    return report;
+}
+
+/**
+*   Error of the first failed check of a report
+*
+*   @method reportError
+*   @param {object} report
+*   @returns {object} error BundleError, null if the bundle is valid
+**/
+var reportError = function(report) {
+
+    var failed = report.errors[0];
+
+    if (!failed) return null;
+
+    var error;
+
+    if (failed.check === 'SUM') {
+        error = errors.invalidBundleSum(failed.sum);
+    } else if (failed.check === 'BUNDLE_HASH') {
+        error = errors.invalidBundleHash(failed.bundleHash);
+    } else if (failed.check === 'SIGNATURE') {
+        error = errors.invalidSignature(failed.address);
+    } else {
+        error = errors.invalidBundle(failed.index);
+    }
+
+    error.report = report;
+
+    return error;
+}
+
+module.exports = {
+    validateBundle  : validateBundle,
+    reportError     : reportError
+};
@@ -0,0 +1,26 @@
+var BundleError = require("./errorTypes").BundleError;
+
+module.exports = {
+
+    invalidBundle: function(index) {
+        return new BundleError("Invalid Bundle", "INVALID_BUNDLE", { index: index });
+    },
+    invalidBundleSum: function(sum) {
+        return new BundleError("Invalid Bundle Sum", "INVALID_BUNDLE_SUM", { sum: sum });
+    },
+    invalidBundleHash: function(bundleHash) {
+        return new BundleError("Invalid Bundle Hash", "INVALID_BUNDLE_HASH", { bundleHash: bundleHash });
+    },
+    invalidSignature: function(address) {
+        return new BundleError("Invalid Signatures!", "INVALID_SIGNATURE", { address: address });
+    },
+    invalidTail: function(hash) {
+        return new BundleError("Invalid tail transaction supplied.", "INVALID_TAIL", { hash: hash });
+    },
+    notVisible: function(hash) {
+        return new BundleError("Bundle transactions not visible", "BUNDLE_NOT_VISIBLE", { hash: hash });
+    },
+    bundleTooLarge: function(transactions, maxTransactions) {
+        return new BundleError("Bundle needs more transactions than allowed", "BUNDLE_TOO_LARGE", { transactions: transactions, maxTransactions: maxTransactions });
+    }
+}
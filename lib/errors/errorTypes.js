@@ -0,0 +1,94 @@
+/**
+*   Base class of all errors of the library. Every error carries a stable
+*   code which can be used to branch on, as well as additional context
+*   such as the offending field or the node which returned the error
+*
+*   @constructor IotaError
+*   @param {string} message
+*   @param {string} code
+*   @param {object} context Properties which are copied onto the error
+**/
+function IotaError(message, code, context) {
+
+    this.message = message;
+    this.code = code;
+
+    var context = context || {};
+    for (var key in context) {
+        if (context[key] !== undefined) {
+            this[key] = context[key];
+        }
+    }
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    } else {
+        this.stack = (new Error(message)).stack;
+    }
+}
+
+IotaError.prototype = Object.create(Error.prototype);
+IotaError.prototype.constructor = IotaError;
+IotaError.prototype.name = 'IotaError';
+
+/**
+*   Creates a subclass of IotaError
+*
+*   @method createErrorType
+*   @param {string} name
+*   @returns {function} constructor
+**/
+var createErrorType = function(name) {
+
+    var ErrorType = function(message, code, context) {
+
+        IotaError.call(this, message, code, context);
+    }
+
+    ErrorType.prototype = Object.create(IotaError.prototype);
+    ErrorType.prototype.constructor = ErrorType;
+    ErrorType.prototype.name = name;
+
+    return ErrorType;
+}
+
+/**
+*   Invalid arguments passed to the library
+**/
+var InputError = createErrorType('InputError');
+
+/**
+*   The node could not be reached or returned an error
+**/
+var RequestError = createErrorType('RequestError');
+
+/**
+*   A bundle failed one of the validity checks
+**/
+var BundleError = createErrorType('BundleError');
+
+/**
+*   A job of the worker pool failed or was cancelled
+**/
+var WorkerError = createErrorType('WorkerError');
+
+/**
+*   A signer could not provide an address or signature
+**/
+var SignerError = createErrorType('SignerError');
+
+/**
+*   A keystore could not be read, written or decrypted
+**/
+var KeystoreError = createErrorType('KeystoreError');
+
+
+module.exports = {
+    IotaError       : IotaError,
+    InputError      : InputError,
+    RequestError    : RequestError,
+    BundleError     : BundleError,
+    WorkerError     : WorkerError,
+    SignerError     : SignerError,
+    KeystoreError   : KeystoreError
+}
@@ -1,25 +1,68 @@
+var InputError = require("./errorTypes").InputError;
 
 module.exports = {
 
-    invalidTrytes: function() {
-        return new Error("Invalid Trytes provided");
+    invalidTrytes: function(field) {
+        return new InputError("Invalid Trytes provided", "INVALID_TRYTES", { field: field });
     },
-    invalidAttachedTrytes: function() {
-        return new Error("Invalid attached Trytes provided");
+    invalidTransaction: function(field) {
+        return new InputError("Invalid transaction field: " + field, "INVALID_TRANSACTION", { field: field });
+    },
+    invalidAttachedTrytes: function(field) {
+        return new InputError("Invalid attached Trytes provided", "INVALID_ATTACHED_TRYTES", { field: field });
     },
     invalidTransfers: function() {
-        return new Error("Invalid transfers object");
+        return new InputError("Invalid transfers object", "INVALID_TRANSFERS", { field: 'transfers' });
     },
-    invalidKey: function() {
-        return new Error("You have provided an invalid key value");
+    invalidKey: function(key) {
+        return new InputError("You have provided an invalid key value", "INVALID_KEY", { field: key });
     },
     invalidTrunkOrBranch: function(hash) {
-        return new Error("You have provided an invalid hash as a trunk/branch: " + hash);
+        return new InputError("You have provided an invalid hash as a trunk/branch: " + hash, "INVALID_TRUNK_OR_BRANCH", { hash: hash });
+    },
+    notInt: function(field) {
+        return new InputError("One of your inputs is not an integer", "NOT_INT", { field: field });
+    },
+    invalidInputs: function(field) {
+        return new InputError("Invalid inputs provided", "INVALID_INPUTS", { field: field });
+    },
+    notEnoughBalance: function(balance, required) {
+        return new InputError("Not enough balance", "NOT_ENOUGH_BALANCE", { balance: balance, required: required });
+    },
+    invalidChecksum: function(address) {
+        return new InputError("Invalid checksum of address: " + address, "INVALID_CHECKSUM", { address: address });
+    },
+    invalidInputSelection: function(strategy) {
+        return new InputError("Unknown input selection strategy: " + strategy, "INVALID_INPUT_SELECTION", { strategy: strategy });
+    },
+    invalidSecurity: function(security) {
+        return new InputError("Invalid security level provided, has to be 1, 2 or 3", "INVALID_SECURITY", { security: security });
+    },
+    invalidSeed: function() {
+        return new InputError("Invalid seed provided, has to consist of up to 81 trytes", "INVALID_SEED", { field: 'seed' });
+    },
+    invalidSigner: function() {
+        return new InputError("Invalid seed or signer provided", "INVALID_SIGNER", { field: 'seed' });
+    },
+    invalidShare: function(share) {
+        return new InputError("Invalid seed share provided", "INVALID_SHARE", { share: share });
+    },
+    invalidShareChecksum: function(share) {
+        return new InputError("Invalid checksum of seed share", "INVALID_SHARE_CHECKSUM", { share: share });
+    },
+    notEnoughShares: function(count, threshold) {
+        return new InputError("Not enough seed shares provided", "NOT_ENOUGH_SHARES", { count: count, threshold: threshold });
+    },
+    noRemainderAddress: function() {
+        return new InputError("No remainder address defined", "NO_REMAINDER_ADDRESS", { field: 'remainderAddress' });
+    },
+    invalidValue: function(field) {
+        return new InputError("Invalid value provided, has to be a non-negative integer within the total supply", "INVALID_VALUE", { field: field });
     },
-    notInt: function() {
-        return new Error("One of your inputs is not an integer");
+    duplicateAddress: function(address) {
+        return new InputError("Address is used twice in the bundle: " + address, "DUPLICATE_ADDRESS", { address: address });
     },
-    invalidInputs: function() {
-        return new Error("Invalid inputs provided");
+    valueOverflow: function(length) {
+        return new InputError("Value does not fit into " + length + " trits", "VALUE_OVERFLOW", { length: length });
     }
 }
@@ -0,0 +1,20 @@
+var KeystoreError = require("./errorTypes").KeystoreError;
+
+module.exports = {
+
+    wrongPassword: function() {
+        return new KeystoreError("Wrong password or corrupted keystore", "WRONG_PASSWORD");
+    },
+    invalidKeystore: function(field) {
+        return new KeystoreError("Invalid keystore", "INVALID_KEYSTORE", { field: field });
+    },
+    unsupportedVersion: function(version) {
+        return new KeystoreError("Unsupported keystore version " + version, "UNSUPPORTED_VERSION", { version: version });
+    },
+    fileError: function(path, cause) {
+        return new KeystoreError("Keystore file error: " + cause.message, "KEYSTORE_FILE_ERROR", { path: path, cause: cause });
+    },
+    notSupported: function() {
+        return new KeystoreError("scrypt is not supported in this environment", "KEYSTORE_NOT_SUPPORTED");
+    }
+}
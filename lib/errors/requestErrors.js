@@ -1,13 +1,20 @@
+var RequestError = require("./errorTypes").RequestError;
 
 module.exports = {
 
-  invalidResponse: function(response) {
-    return new Error("Invalid Response: " + response);
+  invalidResponse: function(response, host, status) {
+    return new RequestError("Invalid Response: " + response, "INVALID_RESPONSE", { host: host, status: status, response: response });
   },
-  noConnection: function(host) {
-    return new Error("No connection to host: " + host);
+  noConnection: function(host, cause) {
+    return new RequestError("No connection to host: " + host, "NO_CONNECTION", { host: host, cause: cause });
   },
-  requestError: function(error) {
-    return new Error("Request Error: " + error);
+  timeout: function(host, command, timeout) {
+    return new RequestError("Request Timeout: " + command + " to host " + host + " took longer than " + timeout + "ms", "TIMEOUT", { host: host, command: command, timeout: timeout });
+  },
+  noHealthyNode: function(hosts) {
+    return new RequestError("None of the nodes is reachable and synced: " + hosts.join(", "), "NO_HEALTHY_NODE", { hosts: hosts });
+  },
+  requestError: function(error, host, status, response) {
+    return new RequestError("Request Error: " + error, "NODE_ERROR", { host: host, status: status, response: response });
   }
 }
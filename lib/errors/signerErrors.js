@@ -0,0 +1,17 @@
+var SignerError = require("./errorTypes").SignerError;
+
+module.exports = {
+
+    unknownKey: function(index) {
+        return new SignerError("Signer does not know the key of index " + index, "UNKNOWN_KEY", { index: index });
+    },
+    addressMismatch: function(address, index) {
+        return new SignerError("Address " + address + " does not belong to key index " + index + " of the signer", "ADDRESS_MISMATCH", { address: address, index: index });
+    },
+    spentAddress: function(address) {
+        return new SignerError("Address " + address + " was already spent from, its key must not sign again", "SPENT_ADDRESS", { address: address });
+    },
+    spentStoreError: function(path, cause) {
+        return new SignerError("Spent address store error: " + cause.message, "SPENT_STORE_ERROR", { path: path, cause: cause });
+    }
+}
@@ -0,0 +1,14 @@
+var WorkerError = require("./errorTypes").WorkerError;
+
+module.exports = {
+
+    cancelled: function() {
+        return new WorkerError("Job was cancelled", "CANCELLED");
+    },
+    workerFailed: function(message) {
+        return new WorkerError("Worker failed: " + message, "WORKER_FAILED");
+    },
+    notSupported: function() {
+        return new WorkerError("worker_threads are not supported in this environment", "WORKERS_NOT_SUPPORTED");
+    }
+}
@@ -1,6 +1,19 @@
 var utils = require("./utils/utils");
 var api = require("./api/api");
 var makeRequest = require('./utils/makeRequest');
+var nodePool = require('./utils/nodePool');
+var workerPool = require('./workers/workerPool');
+var Multisig = require('./multisig/multisig');
+var Signer = require('./signers/signer');
+var SpentStore = require('./spent/store');
+var keystore = require('./keystore/keystore');
+var BundleValidator = require('./crypto/validateBundle');
+var Transaction = require('./crypto/transaction');
+var BundleBuilder = require('./crypto/bundleBuilder');
+var xhrTransport = require('./transports/xhrTransport');
+var httpTransport = require('./transports/httpTransport');
+var fetchTransport = require('./transports/fetchTransport');
+var functionTransport = require('./transports/functionTransport');
 
 
 function IOTA(settings) {
@@ -12,8 +25,24 @@ function IOTA(settings) {
   this.provider = this.host + ":" + this.port;
 
   this.version = null;
-  this._makeRequest = new makeRequest(this.provider);
-  this.api = new api(this._makeRequest);
+  this._settings = settings;
+
+  // With a list of nodes, requests go through a pool with failover
+  if (settings.nodes) {
+    this._makeRequest = new nodePool(settings.nodes, settings.transport, settings);
+    this.provider = this._makeRequest.provider;
+  } else {
+    this._makeRequest = new makeRequest(this.provider, settings.transport, settings);
+  }
+
+  // Worker threads for local PoW and address generation, either true or the number of workers
+  if (settings.workers) {
+    this.workerPool = new workerPool({ size: settings.workers === true ? null : settings.workers });
+  }
+
+  // Remembers the inputs of signed bundles, so that their keys never sign twice
+  this.api = new api(this._makeRequest, this.workerPool, settings.spentAddressStore);
+  this.multisig = new Multisig(this.api);
   // this.mam
   // this.flash
   this.utils = utils;
@@ -24,15 +53,78 @@ function IOTA(settings) {
   *
   *   @method setProvider
   *   @param {Object} settings
+  *       @property {array} nodes List of nodes to use as a pool instead of host and port
 **/
 IOTA.prototype.changeNode = function(settings) {
 
   var settings = settings || {};
+  var previous = this._makeRequest;
+  var transport = settings.transport || (previous instanceof nodePool ? previous.nodes[0].request.transport : previous.transport);
   this.host = settings.host ? settings.host : "http://localhost";
   this.port = settings.port ? settings.port : 14265;
   this.provider = this.host + ":" + this.port;
 
-  this._makeRequest.setProvider(this.provider);
+  // Switching to or from a pool of nodes replaces the request object
+  if (settings.nodes) {
+    this._makeRequest = new nodePool(settings.nodes, transport, this._settings);
+    this.provider = this._makeRequest.provider;
+  } else if (previous instanceof nodePool) {
+    this._makeRequest = new makeRequest(this.provider, transport, this._settings);
+  } else {
+    this._makeRequest.setProvider(this.provider);
+
+    if (settings.transport) {
+      this._makeRequest.setTransport(settings.transport);
+    }
+  }
+
+  this.api.makeRequest = this._makeRequest;
 }
 
+/**
+  *   Available transports, any of them can be passed as settings.transport
+**/
+IOTA.transports = {
+  xhr: xhrTransport,
+  http: httpTransport,
+  fetch: fetchTransport,
+  function: functionTransport
+}
+
+/**
+  *   Signers which the api accepts instead of a seed
+**/
+IOTA.signers = {
+  seed: Signer.SeedSigner,
+  stub: Signer.StubSigner
+}
+
+/**
+  *   Stores of spent addresses, one of them can be passed as settings.spentAddressStore
+**/
+IOTA.spentAddressStores = {
+  memory: SpentStore.MemoryStore,
+  file: SpentStore.FileStore
+}
+
+/**
+  *   Transaction model, see lib/crypto/transaction.js
+**/
+IOTA.Transaction = Transaction;
+
+/**
+  *   Offline validation of bundle trytes or transaction objects
+**/
+IOTA.validateBundle = BundleValidator.validateBundle;
+
+/**
+  *   Step by step construction of unsigned bundles, see lib/crypto/bundleBuilder.js
+**/
+IOTA.BundleBuilder = BundleBuilder;
+
+/**
+  *   Encrypted seed files, see lib/keystore/keystore.js
+**/
+IOTA.keystore = keystore;
+
 module.exports = IOTA;
@@ -0,0 +1,373 @@
+var inputValidator = require("../utils/inputValidator");
+var inputErrors = require("../errors/inputErrors");
+var errors = require("../errors/keystoreErrors");
+var promisify = require("../utils/promisify");
+var Seed = require("../utils/seed");
+
+/**
+**      Encrypted keystore for seeds. The key is derived from the password
+**      with scrypt, the seed is encrypted with AES-256-GCM. Keystores are
+**      plain objects which are saved as JSON:
+**
+**      {
+**          "version": 1,
+**          "crypto": {
+**              "cipher": "aes-256-gcm",
+**              "ciphertext": hex, "iv": hex, "tag": hex,
+**              "kdf": "scrypt",
+**              "kdfparams": { "n", "r", "p", "dklen", "salt": hex }
+**          }
+**      }
+**
+**      The version, cipher and kdf parameters are authenticated as well
+**/
+
+var VERSION = 1;
+
+var defaultKdfParams = {
+    'n': 262144,
+    'r': 8,
+    'p': 1,
+    'dklen': 32
+};
+
+/**
+*   Node's crypto module, only required once a keystore is used
+*
+*   @method nodeCrypto
+*   @returns {object} crypto
+**/
+var nodeCrypto = function() {
+
+    var crypto;
+
+    try {
+        crypto = require("crypto");
+    } catch(error) {
+        throw errors.notSupported();
+    }
+
+    if (!crypto.scrypt) throw errors.notSupported();
+
+    return crypto;
+}
+
+/**
+*   Derives the key of the password
+*
+*   @method deriveKey
+*   @param {string} password
+*   @param {object} kdfparams
+*   @param {function} callback
+**/
+var deriveKey = function(password, kdfparams, callback) {
+
+    var crypto = nodeCrypto();
+
+    // Keystores from untrusted sources must not be able to use up all memory
+    if (!(kdfparams.n <= 1048576 && kdfparams.r <= 32 && kdfparams.p <= 16)) {
+        return callback(errors.invalidKeystore("kdfparams"));
+    }
+
+    // scrypt throws right away on parameters it does not accept
+    try {
+
+        crypto.scrypt(password, Buffer.from(kdfparams.salt, 'hex'), kdfparams.dklen, {
+            'N': kdfparams.n,
+            'r': kdfparams.r,
+            'p': kdfparams.p,
+            'maxmem': 256 * kdfparams.n * kdfparams.r
+        }, callback);
+    } catch(error) {
+        return callback(errors.invalidKeystore("kdfparams"));
+    }
+}
+
+/**
+*   @method isHex
+*   @param {string} value
+*   @param {int} bytes Optional, required length in bytes
+*   @returns {bool}
+**/
+var isHex = function(value, bytes) {
+
+    if (!inputValidator.isString(value) || !/^([0-9a-f]{2})+$/i.test(value)) return false;
+
+    return bytes === undefined || value.length === bytes * 2;
+}
+
+/**
+*   @method isPositiveInt
+*   @param {int} value
+*   @returns {bool}
+**/
+var isPositiveInt = function(value) {
+
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+*   Additional authenticated data of the keystore, so that the
+*   parameters can not be changed without noticing
+*
+*   @method header
+*   @param {object} keystore
+*   @returns {Buffer}
+**/
+var header = function(keystore) {
+
+    var kdfparams = keystore.crypto.kdfparams;
+
+    return Buffer.from(JSON.stringify([
+        keystore.version,
+        keystore.crypto.cipher,
+        keystore.crypto.kdf,
+        kdfparams.n,
+        kdfparams.r,
+        kdfparams.p,
+        kdfparams.dklen,
+        kdfparams.salt
+    ]));
+}
+
+/**
+*   Encrypts a seed with a password
+*
+*   @method encrypt
+*   @param {string} seed Normalized to 81 trytes before encrypting
+*   @param {string} password
+*   @param {object} options
+*       @property {int} n scrypt cost, defaults to 262144
+*       @property {int} r scrypt block size, defaults to 8
+*       @property {int} p scrypt parallelization, defaults to 1
+*   @param {function} callback Called with error and the keystore
+**/
+var encrypt = function(seed, password, options, callback) {
+
+    var options = options || {};
+
+    if (!inputValidator.isSeed(seed)) {
+        return callback(inputErrors.invalidSeed());
+    }
+
+    seed = Seed.normalizeSeed(seed);
+
+    if (!inputValidator.isString(password) || !password.length) {
+        return callback(errors.invalidKeystore("password"));
+    }
+
+    var crypto = nodeCrypto();
+
+    var keystore = {
+        'version': VERSION,
+        'crypto': {
+            'cipher': 'aes-256-gcm',
+            'ciphertext': null,
+            'iv': crypto.randomBytes(12).toString('hex'),
+            'tag': null,
+            'kdf': 'scrypt',
+            'kdfparams': {
+                'n': options.n || defaultKdfParams.n,
+                'r': options.r || defaultKdfParams.r,
+                'p': options.p || defaultKdfParams.p,
+                'dklen': defaultKdfParams.dklen,
+                'salt': crypto.randomBytes(32).toString('hex')
+            }
+        }
+    };
+
+    deriveKey(password, keystore.crypto.kdfparams, function(error, key) {
+
+        if (error) return callback(errors.invalidKeystore("kdfparams"));
+
+        var cipher = crypto.createCipheriv('aes-256-gcm', key, Buffer.from(keystore.crypto.iv, 'hex'));
+        cipher.setAAD(header(keystore));
+
+        keystore.crypto.ciphertext = Buffer.concat([cipher.update(seed, 'utf8'), cipher.final()]).toString('hex');
+        keystore.crypto.tag = cipher.getAuthTag().toString('hex');
+
+        return callback(null, keystore);
+    })
+}
+
+/**
+*   Decrypts the seed of a keystore
+*
+*   @method decrypt
+*   @param {object|string} keystore Keystore object or its JSON
+*   @param {string} password
+*   @param {function} callback Called with error and the seed
+**/
+var decrypt = function(keystore, password, callback) {
+
+    if (inputValidator.isString(keystore)) {
+
+        try {
+            keystore = JSON.parse(keystore);
+        } catch(error) {
+            return callback(errors.invalidKeystore("json"));
+        }
+    }
+
+    if (!keystore || !inputValidator.isObject(keystore.crypto) || !inputValidator.isObject(keystore.crypto.kdfparams)) {
+        return callback(errors.invalidKeystore("crypto"));
+    }
+
+    if (keystore.version !== VERSION) {
+        return callback(errors.unsupportedVersion(keystore.version));
+    }
+
+    if (keystore.crypto.cipher !== 'aes-256-gcm' || keystore.crypto.kdf !== 'scrypt') {
+        return callback(errors.invalidKeystore("cipher"));
+    }
+
+    // Corrupt files must end up in the callback, not throw in Buffer or crypto
+    var kdfparams = keystore.crypto.kdfparams;
+
+    if (!isHex(kdfparams.salt) || kdfparams.dklen !== 32 || !isPositiveInt(kdfparams.n) || !isPositiveInt(kdfparams.r) || !isPositiveInt(kdfparams.p)) {
+        return callback(errors.invalidKeystore("kdfparams"));
+    }
+
+    if (!isHex(keystore.crypto.iv, 12)) {
+        return callback(errors.invalidKeystore("iv"));
+    }
+
+    if (!isHex(keystore.crypto.tag, 16)) {
+        return callback(errors.invalidKeystore("tag"));
+    }
+
+    if (!isHex(keystore.crypto.ciphertext)) {
+        return callback(errors.invalidKeystore("ciphertext"));
+    }
+
+    if (!inputValidator.isString(password)) {
+        return callback(errors.invalidKeystore("password"));
+    }
+
+    var crypto = nodeCrypto();
+
+    deriveKey(password, keystore.crypto.kdfparams, function(error, key) {
+
+        if (error) return callback(errors.invalidKeystore("kdfparams"));
+
+        try {
+
+            var decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.crypto.iv, 'hex'));
+            decipher.setAAD(header(keystore));
+            decipher.setAuthTag(Buffer.from(keystore.crypto.tag, 'hex'));
+
+            var seed = Buffer.concat([decipher.update(Buffer.from(keystore.crypto.ciphertext, 'hex')), decipher.final()]).toString('utf8');
+        } catch(error) {
+
+            // The authentication fails with a wrong password as well as with modified data
+            return callback(errors.wrongPassword());
+        }
+
+        return callback(null, seed);
+    })
+}
+
+/**
+*   Encrypts a seed and saves the keystore. The file is written to a
+*   temporary file first and then renamed, so that an existing keystore
+*   is never left half written
+*
+*   @method save
+*   @param {string} path
+*   @param {string} seed
+*   @param {string} password
+*   @param {object} options Same as encrypt
+*   @param {function} callback Called with error and the keystore
+**/
+var save = function(path, seed, password, options, callback) {
+
+    encrypt(seed, password, options, function(error, keystore) {
+
+        if (error) return callback(error);
+
+        writeFile(path, keystore, function(error) {
+
+            if (error) return callback(error);
+
+            return callback(null, keystore);
+        })
+    })
+}
+
+/**
+*   Loads a keystore and decrypts the seed, which can be passed to every
+*   api method which takes a seed
+*
+*   @method load
+*   @param {string} path
+*   @param {string} password
+*   @param {function} callback Called with error and the seed
+**/
+var load = function(path, password, callback) {
+
+    var fs = require("fs");
+
+    fs.readFile(path, 'utf8', function(error, json) {
+
+        if (error) return callback(errors.fileError(path, error));
+
+        return decrypt(json, password, callback);
+    })
+}
+
+/**
+*   Re-encrypts the seed of a keystore file with a new password,
+*   with a new salt and iv
+*
+*   @method changePassword
+*   @param {string} path
+*   @param {string} password
+*   @param {string} newPassword
+*   @param {object} options Same as encrypt
+*   @param {function} callback Called with error and the new keystore
+**/
+var changePassword = function(path, password, newPassword, options, callback) {
+
+    load(path, password, function(error, seed) {
+
+        if (error) return callback(error);
+
+        return save(path, seed, newPassword, options, callback);
+    })
+}
+
+/**
+*   Writes the keystore, only readable by the owner
+*
+*   @method writeFile
+*   @param {string} path
+*   @param {object} keystore
+*   @param {function} callback
+**/
+var writeFile = function(path, keystore, callback) {
+
+    var fs = require("fs");
+    var temporaryPath = path + '.tmp';
+
+    // 384 is 0600
+    fs.writeFile(temporaryPath, JSON.stringify(keystore, null, 2), { 'mode': 384 }, function(error) {
+
+        if (error) return callback(errors.fileError(path, error));
+
+        fs.rename(temporaryPath, path, function(error) {
+
+            if (error) return callback(errors.fileError(path, error));
+
+            return callback();
+        })
+    })
+}
+
+module.exports = {
+    VERSION         : VERSION,
+    encrypt         : promisify(encrypt),
+    decrypt         : promisify(decrypt),
+    save            : promisify(save),
+    load            : promisify(load),
+    changePassword  : promisify(changePassword)
+};
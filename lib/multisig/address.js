@@ -0,0 +1,54 @@
+var Curl = require("../crypto/curl");
+var Converter = require("../crypto/converter");
+
+/**
+*   Multisig address, the hash of the key digests of all co-signers.
+*   The digests have to be absorbed in the same order in which the
+*   co-signers sign later on
+*
+*   @constructor Address
+*   @param {string|array} digests Optional, digest trytes or a list of them
+**/
+function Address(digests) {
+
+    this._state = Curl.initialize();
+
+    if (digests) {
+        this.absorb(digests);
+    }
+}
+
+/**
+*   Absorbs the key digests of one or more co-signers
+*
+*   @method absorb
+*   @param {string|array} digest digest trytes or a list of them
+*   @returns {object} address
+**/
+Address.prototype.absorb = function(digest) {
+
+    var digests = Array.isArray(digest) ? digest : [digest];
+
+    for (var i = 0; i < digests.length; i++) {
+
+        Curl.absorb(Converter.trits(digests[i]), this._state);
+    }
+
+    return this;
+}
+
+/**
+*   Finalizes the address
+*
+*   @method finalize
+*   @returns {string} address trytes
+**/
+Address.prototype.finalize = function() {
+
+    var address = new Int8Array(243);
+    Curl.squeeze(address, this._state);
+
+    return Converter.trytes(address);
+}
+
+module.exports = Address;
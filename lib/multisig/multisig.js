@@ -0,0 +1,287 @@
+var Signing = require("../crypto/signing");
+var Converter = require("../crypto/converter");
+var Bundle = require("../crypto/bundle");
+var Transfers = require("../crypto/transfers");
+var Address = require("./address");
+var inputValidator = require("../utils/inputValidator");
+var errors = require("../errors/inputErrors");
+var promisify = require("../utils/promisify");
+var Seed = require("../utils/seed");
+var Utils = require("../utils/utils");
+
+/**
+*   Multisig addresses and bundles. Every co-signer exports the digest of
+*   one of their keys, the digests are combined into the multisig address.
+*   Spending from it requires the signature fragments of every co-signer,
+*   added one after the other in the order of the digests
+*
+*   @constructor Multisig
+*   @param {object} api Used to get the balance of the multisig address
+**/
+function Multisig(api) {
+
+    this.api = api;
+}
+
+Multisig.Address = Address;
+
+/**
+*   Gets the key of an index, which a co-signer later signs with
+*
+*   @method getKey
+*   @param {string} seed
+*   @param {int} index
+*   @param {int} security
+*   @returns {string} key trytes
+**/
+Multisig.prototype.getKey = function(seed, index, security) {
+
+    if (!inputValidator.isSecurity(security)) {
+        throw errors.invalidSecurity(security);
+    }
+
+    return Converter.trytes(Signing.key(Converter.trits(Seed.normalizeSeed(seed)), index, security));
+}
+
+/**
+*   Gets the digest of a key, which is shared with the other co-signers
+*   to create the multisig address
+*
+*   @method getDigest
+*   @param {string} seed
+*   @param {int} index
+*   @param {int} security
+*   @returns {string} digest trytes, 81 trytes per security level
+**/
+Multisig.prototype.getDigest = function(seed, index, security) {
+
+    if (!inputValidator.isSecurity(security)) {
+        throw errors.invalidSecurity(security);
+    }
+
+    var key = Signing.key(Converter.trits(Seed.normalizeSeed(seed)), index, security);
+
+    return Converter.trytes(Signing.digests(key));
+}
+
+/**
+*   Creates the multisig address of the digests
+*
+*   @method address
+*   @param {array} digests Digest trytes of the co-signers, in signing order
+*   @returns {string} address
+**/
+Multisig.prototype.address = function(digests) {
+
+    return new Address(digests).finalize();
+}
+
+/**
+*   Checks if the multisig address belongs to the digests
+*
+*   @method validateAddress
+*   @param {string} multisigAddress With or without checksum
+*   @param {array} digests Digest trytes of the co-signers, in signing order
+*   @returns {bool}
+**/
+Multisig.prototype.validateAddress = function(multisigAddress, digests) {
+
+    if (!inputValidator.isAddress(multisigAddress)) return false;
+
+    return new Address(digests).finalize() === Utils.noChecksum(multisigAddress);
+}
+
+/**
+*   Prepares the unsigned bundle of a transfer from a multisig address.
+*   The input gets one transaction per security level of each co-signer
+*
+*   @method initiateTransfer
+*   @param {object} input
+*       @property {string} address Multisig address, with or without checksum
+*       @property {int} securitySum Sum of the security levels of all co-signers
+*       @property {int|string|BigInt} balance Optional, fetched from the node otherwise
+*   @param {string} remainderAddress Required if the balance exceeds the transfers
+*   @param {array} transfers
+*   @param {function} callback
+*   @returns {array} bundle Unsigned transaction objects
+**/
+Multisig.prototype.initiateTransfer = function(input, remainderAddress, transfers, callback) {
+
+    var self = this;
+
+    if (inputValidator.isTrytes(input.address, 90) && !Utils.isValidChecksum(input.address)) {
+        return callback(errors.invalidChecksum(input.address));
+    }
+
+    if (remainderAddress && inputValidator.isTrytes(remainderAddress, 90) && !Utils.isValidChecksum(remainderAddress)) {
+        return callback(errors.invalidChecksum(remainderAddress));
+    }
+
+    if (!inputValidator.isAddress(input.address)) {
+        return callback(errors.invalidTrytes("address"));
+    }
+
+    if (!inputValidator.isInt(input.securitySum) || input.securitySum < 1) {
+        return callback(errors.notInt("securitySum"));
+    }
+
+    if (input.balance && !inputValidator.isValue(input.balance)) {
+        return callback(errors.invalidValue("balance"));
+    }
+
+    if (remainderAddress && !inputValidator.isAddress(remainderAddress)) {
+        return callback(errors.invalidTrytes("remainderAddress"));
+    }
+
+    if (!inputValidator.isTransfersArray(transfers)) {
+        return callback(errors.invalidTransfers());
+    }
+
+    var inputAddress = Utils.noChecksum(input.address);
+
+    var bundle = new Bundle();
+    var timestamp = Math.floor(Date.now() / 1000);
+
+    var outputs = Transfers.addTransfers(bundle, transfers, timestamp);
+    var totalValue = outputs.totalValue;
+    var tag = outputs.tag;
+
+    if (!totalValue) {
+        return callback(errors.invalidTransfers());
+    }
+
+    var createBundle = function(balance) {
+
+        if (balance < totalValue) {
+            return callback(errors.notEnoughBalance(balance, totalValue));
+        }
+
+        bundle.addEntry(input.securitySum, inputAddress, -balance, tag, timestamp);
+
+        if (balance > totalValue) {
+
+            if (!remainderAddress) {
+                return callback(errors.noRemainderAddress());
+            }
+
+            bundle.addEntry(1, Utils.noChecksum(remainderAddress), balance - totalValue, tag, timestamp);
+        }
+
+        bundle.finalize();
+        bundle.addTrytes(outputs.signatureFragments);
+
+        return callback(null, bundle.bundle);
+    }
+
+    if (input.balance) {
+        return createBundle(BigInt(input.balance));
+    }
+
+    self.api.getBalances([input.address], 100, function(error, balances) {
+
+        if (error) return callback(error);
+
+        return createBundle(balances.balances[0]);
+    })
+}
+
+/**
+*   Adds the signature fragments of a co-signer. Fragments of co-signers
+*   who signed before are kept, so the co-signers have to sign in the
+*   order of their digests in the multisig address
+*
+*   @method addSignature
+*   @param {array} bundleToSign Transaction objects of initiateTransfer or a previous addSignature
+*   @param {string} inputAddress Multisig address, with or without checksum
+*   @param {string} key Key trytes of the co-signer, see getKey
+*   @param {function} callback
+*   @returns {array} bundle Transaction objects including the new signature fragments
+**/
+Multisig.prototype.addSignature = function(bundleToSign, inputAddress, key, callback) {
+
+    if (!inputValidator.isTrytes(key) || !key.length || key.length % 2187 !== 0) {
+        return callback(errors.invalidTrytes("key"));
+    }
+
+    inputAddress = Utils.noChecksum(inputAddress);
+
+    var bundle = new Bundle();
+    bundle.bundle = bundleToSign;
+
+    var security = key.length / 2187;
+    var keyTrits = Converter.trits(key);
+
+    // Index of the first signature fragment of this co-signer
+    var numSignedTxs = 0;
+
+    for (var i = 0; i < bundle.bundle.length; i++) {
+
+        if (bundle.bundle[i].address !== inputAddress) continue;
+
+        // Already signed by a previous co-signer
+        if (!inputValidator.isNinesTrytes(bundle.bundle[i].signatureMessageFragment)) {
+            numSignedTxs++;
+            continue;
+        }
+
+        var normalizedBundleHash = bundle.normalizedBundle(bundle.bundle[i].bundle);
+
+        for (var j = 0; j < security; j++) {
+
+            var tx = bundle.bundle[i + j];
+
+            if (!tx || tx.address !== inputAddress) {
+                return callback(errors.invalidTrytes("key"));
+            }
+
+            // Fragments continue the bundle hash fragments where the previous co-signer stopped
+            var fragmentIndex = (numSignedTxs + j) % 3;
+            var bundleFragment = normalizedBundleHash.slice(fragmentIndex * 27, (fragmentIndex + 1) * 27);
+            var keyFragment = keyTrits.slice(j * 6561, (j + 1) * 6561);
+
+            tx.signatureMessageFragment = Converter.trytes(Signing.signatureFragment(bundleFragment, keyFragment));
+        }
+
+        break;
+    }
+
+    return callback(null, bundle.bundle);
+}
+
+/**
+*   Validates the signature fragments of all co-signers
+*
+*   @method validateSignatures
+*   @param {array} signedBundle Transaction objects
+*   @param {string} inputAddress Multisig address, with or without checksum
+*   @returns {bool}
+**/
+Multisig.prototype.validateSignatures = function(signedBundle, inputAddress) {
+
+    var signatureFragments = [];
+    inputAddress = Utils.noChecksum(inputAddress);
+
+    for (var i = 0; i < signedBundle.length; i++) {
+
+        if (signedBundle[i].address === inputAddress) {
+            signatureFragments.push(signedBundle[i].signatureMessageFragment);
+        }
+    }
+
+    return Signing.validateSignatures(inputAddress, signatureFragments, signedBundle[0].bundle);
+}
+
+/**
+*   Methods with a callback return a Promise when it is left out
+**/
+var promisedMethods = [
+    'initiateTransfer',
+    'addSignature'
+];
+
+promisedMethods.forEach(function(method) {
+
+    Multisig.prototype[method] = promisify(Multisig.prototype[method]);
+})
+
+module.exports = Multisig;
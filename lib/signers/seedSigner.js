@@ -0,0 +1,103 @@
+var Signing = require("../crypto/signing");
+var Converter = require("../crypto/converter");
+var Utils = require("../utils/utils");
+
+/**
+*   Default signer, derives keys from a seed which is held in memory
+*
+*   @constructor SeedSigner
+*   @param {string} seed
+**/
+function SeedSigner(seed) {
+
+    this._seed = seed;
+}
+
+/**
+*   @method getAddress
+*   @param {int} index Key index
+*   @param {int} security
+*   @param {function} callback Called with error and the address without checksum
+**/
+SeedSigner.prototype.getAddress = function(index, security, callback) {
+
+    var key = Signing.key(Converter.trits(this._seed), index, security);
+    var address = Converter.trytes(Signing.address(Signing.digests(key)));
+
+    return callback(null, address);
+}
+
+/**
+*   Generates the addresses of consecutive key indexes at once, either
+*   with BctCurl or spread across the workers of a workerPool
+*
+*   @method getAddresses
+*   @param {int} index Key index of the first address
+*   @param {int} total
+*   @param {int} security
+*   @param {object} options
+*       @property {bool} checksum
+*       @property {bool} bct
+*       @property {object} workerPool
+*   @param {function} callback Called with error and the list of addresses
+*   @returns {object} job The job of the workerPool, if it is used
+**/
+SeedSigner.prototype.getAddresses = function(index, total, security, options, callback) {
+
+    var seedTrits = Converter.trits(this._seed);
+    var checksum = options.checksum || false;
+
+    if (options.workerPool && total > 1) {
+
+        return options.workerPool.generateAddresses(this._seed, index, total, {
+            'security': security,
+            'checksum': checksum,
+            'bct': options.bct
+        }, callback);
+    }
+
+    var digestsList = [];
+
+    for (var i = 0; i < total; i++) {
+
+        var key = Signing.key(seedTrits, index + i, security);
+        digestsList.push(Signing.digests(key, options.bct));
+    }
+
+    // With BctCurl the final address hashes are calculated together
+    var addresses = options.bct
+        ? Signing.address(digestsList, true)
+        : digestsList.map(function(digests) { return Signing.address(digests); });
+
+    addresses = addresses.map(function(addressTrits) {
+
+        var address = Converter.trytes(addressTrits);
+        return checksum ? Utils.getChecksum(address) : address;
+    })
+
+    callback(null, addresses);
+}
+
+/**
+*   Signs the normalized bundle hash fragments with the key of an index,
+*   one fragment per security level of the key
+*
+*   @method signFragments
+*   @param {int} index Key index
+*   @param {array} normalizedBundleFragments 27 normalized trytes each
+*   @param {function} callback Called with error and the signature fragments in trytes
+**/
+SeedSigner.prototype.signFragments = function(index, normalizedBundleFragments, callback) {
+
+    var key = Signing.key(Converter.trits(this._seed), index, normalizedBundleFragments.length);
+
+    var signatureFragments = normalizedBundleFragments.map(function(bundleFragment, j) {
+
+        var keyFragment = key.slice(j * 6561, (j + 1) * 6561);
+        return Converter.trytes(Signing.signatureFragment(bundleFragment, keyFragment));
+    })
+
+    return callback(null, signatureFragments);
+}
+
+module.exports = SeedSigner;
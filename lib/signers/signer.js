@@ -0,0 +1,54 @@
+var SeedSigner = require("./seedSigner");
+var StubSigner = require("./stubSigner");
+var inputValidator = require("../utils/inputValidator");
+var Seed = require("../utils/seed");
+
+/**
+**      Signers hold the keys of a seed, so that the api never needs the
+**      seed itself. Every signer implements:
+**
+**          getAddress(index, security, callback)
+**          signFragments(index, normalizedBundleFragments, callback)
+**
+**      and optionally getAddresses(index, total, security, options, callback)
+**      to generate many addresses at once
+**/
+
+/**
+*   Checks if the object implements the signer interface
+*
+*   @method isSigner
+*   @param {object} signer
+*   @returns {bool}
+**/
+var isSigner = function(signer) {
+
+    return !!signer
+        && typeof signer.getAddress === 'function'
+        && typeof signer.signFragments === 'function';
+}
+
+/**
+*   Wraps a normalized seed into a SeedSigner, signers are returned as they are
+*
+*   @method toSigner
+*   @param {string|object} seedOrSigner
+*   @returns {object} signer, or null if neither a valid seed nor a signer was given
+**/
+var toSigner = function(seedOrSigner) {
+
+    if (isSigner(seedOrSigner)) return seedOrSigner;
+
+    if (inputValidator.isSeed(seedOrSigner)) {
+        return new SeedSigner(Seed.normalizeSeed(seedOrSigner));
+    }
+
+    return null;
+}
+
+module.exports = {
+    SeedSigner  : SeedSigner,
+    StubSigner  : StubSigner,
+    isSigner    : isSigner,
+    toSigner    : toSigner
+};
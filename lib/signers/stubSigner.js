@@ -0,0 +1,70 @@
+var errors = require("../errors/signerErrors");
+
+/**
+*   Signer with preset answers, stands in for HSM or hardware wallet
+*   signers in tests. Answers asynchronously like a device would and
+*   records every call in this.calls
+*
+*   @constructor StubSigner
+*   @param {object} options
+*       @property {object} addresses Addresses by key index
+*       @property {function} signFragments Called with index and normalized bundle
+*                   fragments, returns the signature fragments. Without it, every
+*                   signature fragment consists of 9s
+**/
+function StubSigner(options) {
+
+    var options = options || {};
+
+    this.addresses = options.addresses || {};
+    this.signFragmentsHandler = options.signFragments || null;
+    this.calls = [];
+}
+
+/**
+*   @method getAddress
+*   @param {int} index Key index
+*   @param {int} security
+*   @param {function} callback
+**/
+StubSigner.prototype.getAddress = function(index, security, callback) {
+
+    var address = this.addresses[index];
+
+    this.calls.push({ 'method': 'getAddress', 'index': index, 'security': security });
+
+    setImmediate(function() {
+
+        if (!address) {
+            return callback(errors.unknownKey(index));
+        }
+
+        return callback(null, address);
+    })
+}
+
+/**
+*   @method signFragments
+*   @param {int} index Key index
+*   @param {array} normalizedBundleFragments
+*   @param {function} callback
+**/
+StubSigner.prototype.signFragments = function(index, normalizedBundleFragments, callback) {
+
+    var handler = this.signFragmentsHandler;
+
+    this.calls.push({ 'method': 'signFragments', 'index': index, 'normalizedBundleFragments': normalizedBundleFragments });
+
+    setImmediate(function() {
+
+        if (handler) {
+            return callback(null, handler(index, normalizedBundleFragments));
+        }
+
+        return callback(null, normalizedBundleFragments.map(function() {
+            return new Array(2188).join('9');
+        }));
+    })
+}
+
+module.exports = StubSigner;
@@ -0,0 +1,161 @@
+var Utils = require("../utils/utils");
+var errors = require("../errors/signerErrors");
+var async = require("async");
+
+/**
+*   Spent address store which keeps the addresses in a JSON file, so that
+*   they are remembered across restarts. Reads and writes are queued, so
+*   that concurrent adds do not overwrite each other
+*
+*   @constructor FileStore
+*   @param {string} path
+**/
+function FileStore(path) {
+
+    var self = this;
+
+    self.path = path;
+    self.queue = async.queue(function(task, callback) {
+        task(callback);
+    }, 1);
+}
+
+/**
+*   @method read
+*   @param {function} callback Called with error and the addresses as keys of an object
+**/
+FileStore.prototype.read = function(callback) {
+
+    var self = this;
+    var fs = require("fs");
+
+    fs.readFile(self.path, 'utf8', function(error, json) {
+
+        // No file yet, nothing was spent from
+        if (error && error.code === 'ENOENT') return callback(null, {});
+
+        if (error) return callback(errors.spentStoreError(self.path, error));
+
+        try {
+
+            var addresses = {};
+            JSON.parse(json).forEach(function(address) {
+                addresses[address] = true;
+            })
+        } catch(error) {
+            return callback(errors.spentStoreError(self.path, error));
+        }
+
+        return callback(null, addresses);
+    })
+}
+
+/**
+*   Replaces the file, the new content is written to a temporary
+*   file first, so that a crash never leaves a truncated file
+*
+*   @method write
+*   @param {object} spent Addresses as keys
+*   @param {function} callback
+**/
+FileStore.prototype.write = function(spent, callback) {
+
+    var self = this;
+    var fs = require("fs");
+    var temporaryPath = self.path + '.tmp';
+
+    fs.writeFile(temporaryPath, JSON.stringify(Object.keys(spent), null, 2), function(error) {
+
+        if (error) return callback(errors.spentStoreError(self.path, error));
+
+        fs.rename(temporaryPath, self.path, function(error) {
+
+            if (error) return callback(errors.spentStoreError(self.path, error));
+
+            return callback(null);
+        })
+    })
+}
+
+/**
+*   @method add
+*   @param {array} addresses
+*   @param {function} callback
+**/
+FileStore.prototype.add = function(addresses, callback) {
+
+    var self = this;
+
+    self.queue.push(function(done) {
+
+        self.read(function(error, spent) {
+
+            if (error) return done(error);
+
+            addresses.forEach(function(address) {
+                spent[Utils.noChecksum(address)] = true;
+            })
+
+            self.write(spent, done);
+        })
+    }, callback);
+}
+
+/**
+*   Adds the addresses, unless one of them is in the store already.
+*   Check and add are a single step of the queue, so that concurrent
+*   calls can never reserve the same address twice
+*
+*   @method reserve
+*   @param {array} addresses
+*   @param {function} callback Called with SPENT_ADDRESS if an address was in the store
+**/
+FileStore.prototype.reserve = function(addresses, callback) {
+
+    var self = this;
+
+    self.queue.push(function(done) {
+
+        self.read(function(error, spent) {
+
+            if (error) return done(error);
+
+            for (var i = 0; i < addresses.length; i++) {
+
+                if (spent[Utils.noChecksum(addresses[i])]) {
+                    return done(errors.spentAddress(addresses[i]));
+                }
+            }
+
+            addresses.forEach(function(address) {
+                spent[Utils.noChecksum(address)] = true;
+            })
+
+            self.write(spent, done);
+        })
+    }, callback);
+}
+
+/**
+*   @method isSpent
+*   @param {array} addresses
+*   @param {function} callback Called with error and a bool for every address
+**/
+FileStore.prototype.isSpent = function(addresses, callback) {
+
+    var self = this;
+
+    self.queue.push(function(done) {
+
+        self.read(function(error, spent) {
+
+            if (error) return done(error);
+
+            return done(null, addresses.map(function(address) {
+                return spent[Utils.noChecksum(address)] === true;
+            }));
+        })
+    }, callback);
+}
+
+module.exports = FileStore;
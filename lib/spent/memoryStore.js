@@ -0,0 +1,72 @@
+var Utils = require("../utils/utils");
+var errors = require("../errors/signerErrors");
+
+/**
+*   Spent address store which only lives as long as the process
+*
+*   @constructor MemoryStore
+*   @param {array} addresses Optional, addresses which are known to be spent from
+**/
+function MemoryStore(addresses) {
+
+    var self = this;
+
+    self.addresses = {};
+
+    (addresses || []).forEach(function(address) {
+        self.addresses[Utils.noChecksum(address)] = true;
+    })
+}
+
+/**
+*   @method add
+*   @param {array} addresses
+*   @param {function} callback
+**/
+MemoryStore.prototype.add = function(addresses, callback) {
+
+    var self = this;
+
+    addresses.forEach(function(address) {
+        self.addresses[Utils.noChecksum(address)] = true;
+    })
+
+    return callback(null);
+}
+
+/**
+*   Adds the addresses, unless one of them is in the store already
+*
+*   @method reserve
+*   @param {array} addresses
+*   @param {function} callback Called with SPENT_ADDRESS if an address was in the store
+**/
+MemoryStore.prototype.reserve = function(addresses, callback) {
+
+    var self = this;
+
+    for (var i = 0; i < addresses.length; i++) {
+
+        if (self.addresses[Utils.noChecksum(addresses[i])]) {
+            return callback(errors.spentAddress(addresses[i]));
+        }
+    }
+
+    return self.add(addresses, callback);
+}
+
+/**
+*   @method isSpent
+*   @param {array} addresses
+*   @param {function} callback Called with error and a bool for every address
+**/
+MemoryStore.prototype.isSpent = function(addresses, callback) {
+
+    var self = this;
+
+    return callback(null, addresses.map(function(address) {
+        return self.addresses[Utils.noChecksum(address)] === true;
+    }));
+}
+
+module.exports = MemoryStore;
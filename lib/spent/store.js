@@ -0,0 +1,18 @@
+var MemoryStore = require("./memoryStore");
+var FileStore = require("./fileStore");
+
+/**
+**      Local stores of addresses which were spent from. The api adds the
+**      inputs of every bundle it signs, so that a key never signs twice,
+**      even before the bundle reached the Tangle. Every store implements:
+**
+**          add(addresses, callback)
+**          reserve(addresses, callback) -> SPENT_ADDRESS if one of them was added
+**              before, adds all of them otherwise, in one atomic step
+**          isSpent(addresses, callback) -> a bool for every address
+**/
+
+module.exports = {
+    MemoryStore : MemoryStore,
+    FileStore   : FileStore
+};
@@ -0,0 +1,54 @@
+/**
+*   Transport based on the fetch API of the browser
+*
+*   @constructor fetchTransport
+*   @param {object} options
+*       @property {function} fetch Custom fetch implementation, defaults to the global fetch
+**/
+function fetchTransport(options) {
+
+    var options = options || {};
+
+    this.fetch = options.fetch || fetch;
+}
+
+/**
+*   sends the payload to the provider
+*
+*   @method send
+*   @param {string} provider
+*   @param {string} payload JSON encoded command
+*   @param {function} callback Called with error, responseText and status
+*   @returns {object} handle with an abort method
+**/
+fetchTransport.prototype.send = function(provider, payload, callback) {
+
+    // Older environments have no AbortController, requests then simply run out
+    var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+
+    this.fetch(provider, {
+        'method'  : 'POST',
+        'headers' : { 'Content-Type': 'application/json' },
+        'body'    : payload,
+        'signal'  : controller ? controller.signal : undefined
+    }).then(function(response) {
+
+        return response.text().then(function(responseText) {
+            return { 'text': responseText, 'status': response.status };
+        })
+    }).then(function(result) {
+
+        callback(null, result.text, result.status);
+    }, function(error) {
+
+        callback(error);
+    })
+
+    return {
+        abort: function() {
+            if (controller) controller.abort();
+        }
+    }
+}
+
+module.exports = fetchTransport;
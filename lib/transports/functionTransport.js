@@ -0,0 +1,33 @@
+/**
+*   In-process transport which hands every command to a function instead
+*   of a node. Useful for unit tests and for embedding a node implementation
+*
+*   @constructor functionTransport
+*   @param {function} handler Called with the command object and a callback
+**/
+function functionTransport(handler) {
+
+    this.handler = handler;
+}
+
+/**
+*   sends the payload to the handler function
+*
+*   @method send
+*   @param {string} provider
+*   @param {string} payload JSON encoded command
+*   @param {function} callback Called with error, responseText and status
+**/
+functionTransport.prototype.send = function(provider, payload, callback) {
+
+    var command = JSON.parse(payload);
+
+    this.handler(command, function(error, result) {
+
+        if (error) return callback(error);
+
+        return callback(null, JSON.stringify(result), 200);
+    })
+}
+
+module.exports = functionTransport;
@@ -0,0 +1,81 @@
+var http = require("http");
+var https = require("https");
+var url = require("url");
+
+/**
+*   Transport based on the native NodeJS http and https modules.
+*   Connections are kept alive by default
+*
+*   @constructor httpTransport
+*   @param {object} options
+*       @property {bool} keepAlive Reuse sockets between requests, defaults to true
+*       @property {object} agent Custom http.Agent or https.Agent
+**/
+function httpTransport(options) {
+
+    var options = options || {};
+    var keepAlive = options.keepAlive !== false;
+
+    this.httpAgent = options.agent || new http.Agent({ 'keepAlive': keepAlive });
+    this.httpsAgent = options.agent || new https.Agent({ 'keepAlive': keepAlive });
+}
+
+/**
+*   sends the payload to the provider
+*
+*   @method send
+*   @param {string} provider
+*   @param {string} payload JSON encoded command
+*   @param {function} callback Called with error, responseText and status
+*   @returns {object} handle with an abort method
+**/
+httpTransport.prototype.send = function(provider, payload, callback) {
+
+    var target = url.parse(provider);
+    var isHttps = target.protocol === 'https:';
+    var called = false;
+
+    // Make sure that the callback is only called once
+    var done = function(error, responseText, status) {
+
+        if (called) return;
+        called = true;
+
+        return callback(error, responseText, status);
+    }
+
+    var request = (isHttps ? https : http).request({
+        'method'    : 'POST',
+        'hostname'  : target.hostname,
+        'port'      : target.port,
+        'path'      : target.path,
+        'agent'     : isHttps ? this.httpsAgent : this.httpAgent,
+        'headers'   : {
+            'Content-Type'    : 'application/json',
+            'Content-Length'  : Buffer.byteLength(payload)
+        }
+    }, function(response) {
+
+        var responseText = '';
+
+        response.setEncoding('utf8');
+        response.on('data', function(chunk) {
+            responseText += chunk;
+        })
+        response.on('end', function() {
+            done(null, responseText, response.statusCode);
+        })
+        response.on('error', done);
+    })
+
+    request.on('error', done);
+    request.end(payload);
+
+    return {
+        abort: function() {
+            request.destroy();
+        }
+    }
+}
+
+module.exports = httpTransport;
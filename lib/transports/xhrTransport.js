@@ -0,0 +1,63 @@
+var XMLHttpRequest = require("xmlhttprequest").XMLHttpRequest;
+
+/**
+*   Transport based on XMLHttpRequest. Works in the browser as well as
+*   in NodeJS through the xmlhttprequest package
+*
+*   @constructor xhrTransport
+**/
+function xhrTransport() {
+
+}
+
+/**
+*   creates an XMLHttpRequest Object
+*
+*   @method open
+*   @param {string} provider
+*   @returns {object} request
+**/
+xhrTransport.prototype.open = function(provider) {
+
+    var request = new XMLHttpRequest();
+    request.open('POST', provider, true);
+    request.setRequestHeader('Content-Type','application/json');
+    return request;
+}
+
+/**
+*   sends the payload to the provider
+*
+*   @method send
+*   @param {string} provider
+*   @param {string} payload JSON encoded command
+*   @param {function} callback Called with error, responseText and status
+*   @returns {object} handle with an abort method
+**/
+xhrTransport.prototype.send = function(provider, payload, callback) {
+
+    var request = this.open(provider);
+
+    request.onreadystatechange = function() {
+
+        if (request.readyState === 4) {
+
+            // Status 0 means that the request never reached the host
+            if (request.status === 0) {
+                return callback(new Error("Request did not reach " + provider));
+            }
+
+            return callback(null, request.responseText, request.status);
+        }
+    }
+
+    try {
+        request.send(payload);
+    } catch(error) {
+        callback(error);
+    }
+
+    return request;
+}
+
+module.exports = xhrTransport;
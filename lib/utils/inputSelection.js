@@ -0,0 +1,286 @@
+var errors = require("../errors/inputErrors");
+
+/**
+**      Strategies which choose the inputs of a transfer among all addresses
+**      of a seed with a balance. A strategy is called with the candidates
+**      in key index order and the threshold, balances and threshold are
+**      BigInts. It returns the chosen inputs:
+**
+**          function(candidates, threshold) -> [{ 'input': candidate, 'reason': string }]
+**
+**      Custom selectors may also return the chosen candidates themselves
+**/
+
+// Search steps of exactMatch before it gives up
+var EXACT_MATCH_STEPS = 100000;
+
+/**
+*   All candidates, e.g. for inputs which were provided by the caller
+*
+*   @method all
+*   @param {array} candidates
+*   @returns {array} chosen inputs with reasons
+**/
+var all = function(candidates) {
+
+    return candidates.map(function(candidate) {
+        return { 'input': candidate, 'reason': 'Every input with a balance is used' };
+    })
+}
+
+/**
+*   Inputs in key index order until the threshold is reached
+*
+*   @method sequential
+*   @param {array} candidates
+*   @param {BigInt} threshold
+*   @returns {array} chosen inputs with reasons
+**/
+var sequential = function(candidates, threshold) {
+
+    var chosen = [];
+    var totalBalance = BigInt(0);
+
+    for (var i = 0; i < candidates.length && totalBalance < threshold; i++) {
+
+        chosen.push({ 'input': candidates[i], 'reason': 'Next key index with a balance' });
+        totalBalance += candidates[i].balance;
+    }
+
+    return chosen;
+}
+
+/**
+*   Inputs with the largest balances until the threshold is reached
+*
+*   @method largestFirst
+*   @param {array} candidates
+*   @param {BigInt} threshold
+*   @returns {array} chosen inputs with reasons
+**/
+var largestFirst = function(candidates, threshold) {
+
+    var chosen = [];
+    var totalBalance = BigInt(0);
+    var sorted = byBalance(candidates);
+
+    for (var i = 0; i < sorted.length && totalBalance < threshold; i++) {
+
+        chosen.push({ 'input': sorted[i], 'reason': 'Largest remaining balance' });
+        totalBalance += sorted[i].balance;
+    }
+
+    return chosen;
+}
+
+/**
+*   The fewest inputs, and among them the smallest remainder: the largest
+*   balances are added until a single remaining input can cover the rest,
+*   then the smallest input which covers the rest is chosen
+*
+*   @method bestFit
+*   @param {array} candidates
+*   @param {BigInt} threshold
+*   @returns {array} chosen inputs with reasons
+**/
+var bestFit = function(candidates, threshold) {
+
+    var chosen = [];
+    var sorted = byBalance(candidates);
+    var missing = threshold;
+
+    while (sorted.length && missing > 0) {
+
+        // The smallest balance which covers the missing value, if there is one
+        var fit = null;
+        for (var i = sorted.length - 1; i >= 0; i--) {
+
+            if (sorted[i].balance >= missing) {
+                fit = i;
+                break;
+            }
+        }
+
+        if (fit !== null) {
+
+            chosen.push({ 'input': sorted[fit], 'reason': 'Smallest balance which covers the rest' });
+            break;
+        }
+
+        chosen.push({ 'input': sorted[0], 'reason': 'Largest remaining balance' });
+        missing -= sorted[0].balance;
+        sorted = sorted.slice(1);
+    }
+
+    return chosen;
+}
+
+/**
+*   Inputs whose balances add up to exactly the threshold, so that the
+*   bundle does not need a remainder. Falls back to bestFit if there is
+*   no such combination, or if it was not found within a bounded search
+*
+*   @method exactMatch
+*   @param {array} candidates
+*   @param {BigInt} threshold
+*   @returns {array} chosen inputs with reasons
+**/
+var exactMatch = function(candidates, threshold) {
+
+    var sorted = byBalance(candidates).filter(function(candidate) {
+        return candidate.balance <= threshold;
+    })
+
+    // Balance of all candidates after an index, to stop early
+    var rest = [];
+    rest[sorted.length] = BigInt(0);
+    for (var i = sorted.length - 1; i >= 0; i--) {
+        rest[i] = rest[i + 1] + sorted[i].balance;
+    }
+
+    var steps = 0;
+    var path = [];
+
+    var search = function(index, missing) {
+
+        if (missing === BigInt(0)) return true;
+        if (index >= sorted.length || rest[index] < missing || ++steps > EXACT_MATCH_STEPS) return false;
+
+        if (sorted[index].balance <= missing) {
+
+            path.push(sorted[index]);
+            if (search(index + 1, missing - sorted[index].balance)) return true;
+            path.pop();
+        }
+
+        return search(index + 1, missing);
+    }
+
+    if (!search(0, threshold)) {
+
+        return bestFit(candidates, threshold).map(function(entry) {
+            return { 'input': entry.input, 'reason': 'No exact match found. ' + entry.reason };
+        })
+    }
+
+    return path.map(function(input) {
+        return { 'input': input, 'reason': 'Part of an exact match of the value' };
+    })
+}
+
+/**
+*   @method byBalance
+*   @param {array} candidates
+*   @returns {array} copy of the candidates, largest balance first
+**/
+var byBalance = function(candidates) {
+
+    return candidates.slice().sort(function(a, b) {
+        if (a.balance !== b.balance) return a.balance < b.balance ? 1 : -1;
+
+        return a.keyIndex - b.keyIndex;
+    })
+}
+
+var strategies = {
+    'all'           : all,
+    'sequential'    : sequential,
+    'largestFirst'  : largestFirst,
+    'bestFit'       : bestFit,
+    'exactMatch'    : exactMatch
+};
+
+/**
+*   Chooses inputs among the candidates
+*
+*   @method select
+*   @param {array} candidates Inputs with a balance as int, string or BigInt, in key index order
+*   @param {BigInt|int|string} threshold Value the inputs have to cover
+*   @param {string|function} strategy Name of a strategy or a custom selector. Defaults to sequential
+*   @returns {object} selection
+*       @property {array} inputs Chosen inputs, in the order of the candidates
+*       @property {BigInt} totalBalance
+*       @property {object} report strategy, threshold, totalBalance, remainder
+*                   and the address, keyIndex, balance and reason of every input.
+*                   Amounts are BigInts
+**/
+var select = function(candidates, threshold, strategy) {
+
+    var strategy = strategy || 'sequential';
+    var threshold = BigInt(threshold);
+    var selector = typeof strategy === 'function' ? strategy : strategies[strategy];
+
+    if (!selector) {
+        throw errors.invalidInputSelection(strategy);
+    }
+
+    // Strategies work on copies with BigInt balances, the chosen candidates are returned as they are
+    var available = BigInt(0);
+    var copies = candidates.map(function(candidate) {
+
+        var copy = Object.assign({}, candidate, { 'balance': BigInt(candidate.balance) });
+        available += copy.balance;
+
+        return copy;
+    })
+
+    if (available < threshold) {
+        throw errors.notEnoughBalance(available, threshold);
+    }
+
+    var chosen = selector(copies, threshold) || [];
+    var indexes = [];
+    var reasons = {};
+    var totalBalance = BigInt(0);
+
+    chosen.forEach(function(entry) {
+
+        var index = copies.indexOf(entry && entry.input ? entry.input : entry);
+
+        // Custom selectors can only choose each of the candidates once
+        if (index === -1 || indexes.indexOf(index) !== -1) {
+            throw errors.invalidInputs("inputSelection");
+        }
+
+        indexes.push(index);
+        reasons[index] = entry && entry.reason ? entry.reason : 'Chosen by the custom selector';
+        totalBalance += copies[index].balance;
+    })
+
+    if (totalBalance < threshold) {
+        throw errors.notEnoughBalance(totalBalance, threshold);
+    }
+
+    // The bundle lists the inputs in the order of the candidates, regardless of the strategy
+    indexes.sort(function(a, b) {
+        return a - b;
+    })
+
+    var report = {
+        'strategy': typeof strategy === 'function' ? 'custom' : strategy,
+        'threshold': threshold,
+        'totalBalance': totalBalance,
+        'remainder': totalBalance - threshold,
+        'inputs': indexes.map(function(i) {
+            return {
+                'address': copies[i].address,
+                'keyIndex': copies[i].keyIndex,
+                'balance': copies[i].balance,
+                'reason': reasons[i]
+            };
+        })
+    };
+
+    return {
+        'inputs': indexes.map(function(i) {
+            return candidates[i];
+        }),
+        'totalBalance': totalBalance,
+        'report': report
+    };
+}
+
+module.exports = {
+    strategies  : strategies,
+    select      : select
+};
@@ -1,17 +1,20 @@
 /**
-*   checks if input is correct address
+*   checks if input is correct address, the checksum of
+*   addresses with 90 trytes has to be valid
 *
 *   @method isAddress
 *   @param {string} address
 *   @returns {boolean}
 **/
 var isAddress = function(address) {
-    // TODO: In the future check checksum
+
+    if (!isString(address)) return false;
 
     // Check if address with checksum
     if (address.length === 90) {
 
-        if (!isTrytes(address, 90)) {
+        // Required here, utils requires this module
+        if (!require("./utils").isValidChecksum(address)) {
             return false;
         }
     } else {
@@ -25,16 +28,22 @@ var isAddress = function(address) {
 }
 
 /**
-*   checks if value
+*   checks if value, a non-negative integer. Ints above
+*   Number.MAX_SAFE_INTEGER are not exact, larger values have
+*   to be BigInts or decimal strings
 *
 *   @method isValue
-*   @param {string} value
+*   @param {int|string|BigInt} value
 *   @returns {boolean}
 **/
 var isValue = function(value) {
 
+    if (typeof value === 'bigint') return value >= 0;
+
+    if (isString(value)) return /^[0-9]+$/.test(value);
+
     // check if correct number
-    return /^[0-9]+$/.test(value) && isInt(value);
+    return Number.isSafeInteger(value) && value >= 0;
 }
 
 /**
@@ -67,7 +76,7 @@ var isTransfersArray = function(transfersArray) {
 
     if (!isArray(transfersArray)) return false;
 
-    for (var i = 0; i < hashesArray.length; i++) {
+    for (var i = 0; i < transfersArray.length; i++) {
 
         var transfer = transfersArray[i];
 
@@ -132,6 +141,27 @@ var isArrayOfHashes = function(hashesArray) {
     return true;
 }
 
+/**
+*   checks if input is list of correct addresses, with or without checksum
+*
+*   @method isArrayOfAddresses
+*   @param {list} addressesArray
+*   @returns {boolean}
+**/
+var isArrayOfAddresses = function(addressesArray) {
+
+    if (!isArray(addressesArray)) return false;
+
+    for (var i = 0; i < addressesArray.length; i++) {
+
+        if (!isAddress(addressesArray[i])) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
 /**
 *   checks if input is list of correct trytes
 *
@@ -235,11 +265,28 @@ var isInputs = function(inputs) {
 
         // If input does not have keyIndex and address, return false 
         if (!input.hasOwnProperty('keyIndex') || !input.hasOwnProperty('address')) return false;
+
+        if (!isAddress(input.address)) return false;
+
+        // The security level is optional
+        if (input.hasOwnProperty('security') && !isSecurity(input.security)) return false;
     }
 
     return true;
 }
 
+/**
+*   checks if security level is valid: 1, 2 or 3
+*
+*   @method isSecurity
+*   @param {int} security
+*   @returns {boolean}
+**/
+var isSecurity = function(security) {
+
+    return security === 1 || security === 2 || security === 3;
+}
+
 /**
 *   checks if input is correct trytes consisting of A-Z9
 *   optionally validate length
@@ -258,6 +305,31 @@ var isTrytes = function(trytes, length) {
     return regexTrytes.test(trytes);
 }
 
+/**
+*   checks if input is a seed: up to 81 trytes, lowercase letters
+*   and surrounding whitespace are accepted
+*
+*   @method isSeed
+*   @param {string} seed
+*   @returns {boolean}
+**/
+var isSeed = function(seed) {
+
+    return isString(seed) && /^[9A-Z]{1,81}$/i.test(seed.trim());
+}
+
+/**
+*   checks if trytes consist of 9s only, e.g. an empty signature fragment
+*
+*   @method isNinesTrytes
+*   @param {string} trytes
+*   @returns {boolean}
+**/
+var isNinesTrytes = function(trytes) {
+
+    return /^[9]+$/.test(trytes);
+}
+
 /**
 *   checks whether input is a string or not
 *
@@ -314,10 +386,14 @@ module.exports = {
     isHash: isHash,
     isTransfersArray: isTransfersArray,
     isArrayOfHashes: isArrayOfHashes,
+    isArrayOfAddresses: isArrayOfAddresses,
     isArrayOfTrytes: isArrayOfTrytes,
     isArrayOfAttachedTrytes: isArrayOfAttachedTrytes,
     isInputs: isInputs,
+    isSecurity: isSecurity,
+    isSeed: isSeed,
     isTrytes: isTrytes,
+    isNinesTrytes: isNinesTrytes,
     isString: isString,
     isInt: isInt,
     isArray: isArray,
@@ -1,11 +1,63 @@
-var XMLHttpRequest = require("xmlhttprequest").XMLHttpRequest;
+var xhrTransport = require("../transports/xhrTransport");
 var errors = require("../errors/requestErrors");
 
+/**
+  *   Default request timeouts in milliseconds.
+  *   Attaching to the tangle does the PoW on the node and takes a lot longer
+**/
+var defaultTimeouts = {
+  'default'         : 30000,
+  'attachToTangle'  : 300000
+}
+
+/**
+  *   Read commands which can safely be sent again if the first attempt failed.
+  *   Anything not listed here is never retried automatically
+**/
+var idempotentCommands = [
+  'findTransactions',
+  'getBalances',
+  'getInclusionStates',
+  'getNodeInfo',
+  'getNeighbors',
+  'getTips',
+  'getTransactionsToApprove',
+  'getTrytes'
+]
 
 
-function makeRequest(provider) {
+/**
+  *   @constructor makeRequest
+  *   @param {String} provider
+  *   @param {object} transport
+  *   @param {object} options
+  *       @property {int} timeout Default timeout in ms for every command, 0 disables it
+  *       @property {object} timeouts Timeouts per command, e.g. { attachToTangle: 600000 }
+  *       @property {int} retries How often idempotent commands are retried, defaults to 0
+  *       @property {int} retryDelay Base delay in ms for the exponential backoff
+  *       @property {int} maxRetryDelay Upper limit in ms for the backoff delay
+**/
+function makeRequest(provider, transport, options) {
+
+  var options = options || {};
 
   this.provider = provider || "http://localhost:14265";
+  this.transport = transport || new xhrTransport();
+
+  this.timeouts = {};
+  for (var command in defaultTimeouts) {
+    this.timeouts[command] = defaultTimeouts[command];
+  }
+  if (options.timeout !== undefined) {
+    this.timeouts['default'] = options.timeout;
+  }
+  for (var command in options.timeouts || {}) {
+    this.timeouts[command] = options.timeouts[command];
+  }
+
+  this.retries = options.retries || 0;
+  this.retryDelay = options.retryDelay || 500;
+  this.maxRetryDelay = options.maxRetryDelay || 10000;
 }
 
 /**
@@ -20,45 +72,119 @@ makeRequest.prototype.setProvider = function(provider) {
 }
 
 /**
-  *   creates an XMLHttpRequest Object
+  *   Change the transport used to reach the provider
   *
-  *   @method open
-  *   @param {object} command
-  *   @returns {object} request
+  *   @method setTransport
+  *   @param {object} transport Object with a send(provider, payload, callback) method
 **/
-makeRequest.prototype.open = function() {
+makeRequest.prototype.setTransport = function(transport) {
+
+  this.transport = transport || new xhrTransport();
+}
+
+/**
+  *   Returns the timeout in ms of a command
+  *
+  *   @method getTimeout
+  *   @param {string} commandName
+  *   @returns {int} timeout
+**/
+makeRequest.prototype.getTimeout = function(commandName) {
+
+  if (this.timeouts.hasOwnProperty(commandName)) {
+    return this.timeouts[commandName];
+  }
+
+  return this.timeouts['default'];
+}
+
+/**
+  *   Calculates the delay before the next attempt.
+  *   Exponential backoff, of which the second half is randomized
+  *
+  *   @method retryBackoff
+  *   @param {int} attempt Number of failed attempts so far
+  *   @returns {int} delay in ms
+**/
+makeRequest.prototype.retryBackoff = function(attempt) {
+
+  var delay = Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, attempt));
 
-  var request = new XMLHttpRequest();
-  request.open('POST', this.provider, true);
-  request.setRequestHeader('Content-Type','application/json');
-  return request;
+  return Math.floor(delay / 2 + Math.random() * delay / 2);
 }
 
 /**
-  *   sends an http request to a specified host
+  *   sends an http request to a specified host.
+  *   Idempotent commands are retried on connection errors and timeouts
   *
   *   @method send
   *   @param {object} command
-  *   @param {function} callback
+  *   @param {function} callback Called with error, result and the provider
 **/
 makeRequest.prototype.send = function(command, callback) {
 
   var self = this;
-  var request = this.open();
+  var attempt = 0;
+  var retries = makeRequest.isIdempotent(command.command) ? self.retries : 0;
 
-  request.onreadystatechange = function() {
-      if (request.readyState === 4) {
-          var result = request.responseText;
-          // Prepare the result
-          return self.prepareResult(result, callback);
-      }
+  var sendAttempt = function() {
+
+      self.sendOnce(command, function(error, result, retryable) {
+
+          if (error && retryable && attempt < retries) {
+
+              return setTimeout(sendAttempt, self.retryBackoff(attempt++));
+          }
+
+          return callback(error, result, self.provider);
+      })
   }
 
-  try {
-      request.send(JSON.stringify(command));
-  } catch(error) {
-      // INCORRECTLY THROWS NO CONNECTION ERROR
-      callback(errors.noConnection(self.provider));
+  sendAttempt();
+}
+
+/**
+  *   sends a single request and enforces the timeout of the command
+  *
+  *   @method sendOnce
+  *   @param {object} command
+  *   @param {function} callback Called with error, result and whether a retry makes sense
+**/
+makeRequest.prototype.sendOnce = function(command, callback) {
+
+  var self = this;
+  var timeout = self.getTimeout(command.command);
+  var finished = false;
+  var timer;
+
+  var handle = self.transport.send(self.provider, JSON.stringify(command), function(error, result, status) {
+
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+
+      if (error) {
+          return callback(errors.noConnection(self.provider, error), null, true);
+      }
+
+      // Prepare the result
+      return self.prepareResult(result, status, callback);
+  })
+
+  if (timeout && !finished) {
+
+      timer = setTimeout(function() {
+
+          if (finished) return;
+          finished = true;
+
+          // Abort the request if the transport supports it
+          if (handle && handle.abort) {
+              handle.abort();
+          }
+
+          return callback(errors.timeout(self.provider, command.command, timeout), null, true);
+      }, timeout);
   }
 }
 
@@ -67,34 +193,45 @@ makeRequest.prototype.send = function(command, callback) {
   *
   *   @method prepareResult
   *   @param {string} result
+  *   @param {int} status HTTP status of the response
   *   @param {function} callback
 **/
-makeRequest.prototype.prepareResult = function(result, callback) {
+makeRequest.prototype.prepareResult = function(result, status, callback) {
 
   var error;
+  var response = result;
 
   try {
       result = JSON.parse(result);
   } catch(e) {
-      error = errors.invalidResponse(result);
+      error = errors.invalidResponse(response, this.provider, status);
       result = null;
   }
 
-  //
-  //    TODO: PREPARE ERROR MESSAGES BETTER
-  //
   if (!error && result.error) {
-    error = errors.requestError(result.error);
+    error = errors.requestError(result.error, this.provider, status, result);
     result = null;
   }
 
   if (!error && result.exception) {
-    error = errors.requestError(result.exception);
+    error = errors.requestError(result.exception, this.provider, status, result);
     result = null;
   }
 
   return callback(error, result);
 }
 
+/**
+  *   Checks if a command can safely be sent more than once
+  *
+  *   @method isIdempotent
+  *   @param {string} commandName
+  *   @returns {bool}
+**/
+makeRequest.isIdempotent = function(commandName) {
+
+  return idempotentCommands.indexOf(commandName) !== -1;
+}
+
 
 module.exports = makeRequest;
@@ -0,0 +1,161 @@
+var makeRequest = require("./makeRequest");
+var errors = require("../errors/requestErrors");
+
+
+/**
+  *   Pool of nodes with automatic failover. Exposes the same send method
+  *   as makeRequest, so it can be handed to the api instead of it.
+  *
+  *   A node is healthy if it responds to getNodeInfo and its
+  *   latestMilestoneIndex equals its latestSolidSubtangleMilestoneIndex
+  *
+  *   @constructor nodePool
+  *   @param {array} nodes List of providers, either strings or { host, port } objects
+  *   @param {object} transport
+  *   @param {object} options Passed on to makeRequest
+  *       @property {int} healthCheckInterval Time in ms after which a node is checked again
+**/
+function nodePool(nodes, transport, options) {
+
+  var self = this;
+  var options = options || {};
+
+  self.healthCheckInterval = options.healthCheckInterval || 60000;
+  self.nodes = [];
+
+  nodes.forEach(function(node) {
+
+      var provider = typeof node === 'string' ? node : (node.host || "http://localhost") + ":" + (node.port || 14265);
+
+      self.nodes.push({
+        'provider'  : provider,
+        'request'   : new makeRequest(provider, transport, options),
+        'healthy'   : null,
+        'checkedAt' : 0
+      })
+  })
+
+  self.current = 0;
+  self.provider = self.nodes[0].provider;
+  self.lastProvider = null;
+}
+
+/**
+  *   Change the transport of all nodes in the pool
+  *
+  *   @method setTransport
+  *   @param {object} transport
+**/
+nodePool.prototype.setTransport = function(transport) {
+
+  this.nodes.forEach(function(node) {
+      node.request.setTransport(transport);
+  })
+}
+
+/**
+  *   Checks if a node is reachable and synced
+  *
+  *   @method checkNode
+  *   @param {object} node
+  *   @param {function} callback Called with the health of the node
+**/
+nodePool.prototype.checkNode = function(node, callback) {
+
+  node.request.send({ 'command': 'getNodeInfo' }, function(error, info) {
+
+      node.healthy = !error && info.latestMilestoneIndex === info.latestSolidSubtangleMilestoneIndex;
+      node.checkedAt = Date.now();
+
+      return callback(node.healthy);
+  })
+}
+
+/**
+  *   Finds the first healthy node, starting from the current one.
+  *   Health checks are cached for healthCheckInterval ms
+  *
+  *   @method selectNode
+  *   @param {function} callback Called with error and the node
+**/
+nodePool.prototype.selectNode = function(callback) {
+
+  var self = this;
+  var checked = 0;
+
+  var nextNode = function() {
+
+      if (checked === self.nodes.length) {
+
+          var providers = self.nodes.map(function(node) { return node.provider; });
+          return callback(errors.noHealthyNode(providers));
+      }
+
+      var index = (self.current + checked++) % self.nodes.length;
+      var node = self.nodes[index];
+
+      var useNode = function() {
+          self.current = index;
+          self.provider = node.provider;
+          return callback(null, node);
+      }
+
+      // Use cached health if it is recent enough
+      if (node.healthy !== null && Date.now() - node.checkedAt < self.healthCheckInterval) {
+
+          return node.healthy ? useNode() : nextNode();
+      }
+
+      self.checkNode(node, function(healthy) {
+
+          return healthy ? useNode() : nextNode();
+      })
+  }
+
+  nextNode();
+}
+
+/**
+  *   sends the command to a healthy node and fails over to the next one
+  *   if the node cannot be reached. Timeouts only fail over for idempotent
+  *   commands, as the node might still execute the command
+  *
+  *   @method send
+  *   @param {object} command
+  *   @param {function} callback Called with error, result and the provider which served the request
+**/
+nodePool.prototype.send = function(command, callback) {
+
+  var self = this;
+  var attempts = 0;
+
+  var sendToNode = function() {
+
+      self.selectNode(function(error, node) {
+
+          if (error) return callback(error);
+
+          node.request.send(command, function(error, result) {
+
+              var failover = error && (error.code === "NO_CONNECTION" || (error.code === "TIMEOUT" && makeRequest.isIdempotent(command.command)));
+
+              if (failover && ++attempts < self.nodes.length) {
+
+                  node.healthy = false;
+                  node.checkedAt = Date.now();
+
+                  return sendToNode();
+              }
+
+              self.lastProvider = node.provider;
+
+              return callback(error, result, node.provider);
+          })
+      })
+  }
+
+  sendToNode();
+}
+
+
+module.exports = nodePool;
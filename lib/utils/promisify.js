@@ -0,0 +1,57 @@
+/**
+*   Wraps a callback based method so that it returns a Promise when it is
+*   called without a callback. The callback is always expected to be the
+*   last declared parameter of the method. Optional arguments which were
+*   left out are filled with undefined, so that the callback always ends
+*   up in its declared position.
+*
+*   Input validation errors which are thrown synchronously reject the
+*   Promise instead.
+*
+*   @method promisify
+*   @param {function} method
+*   @returns {function} wrapped method
+**/
+var promisify = function(method) {
+
+    var callbackPosition = method.length - 1;
+
+    return function() {
+
+        var self = this;
+        var args = Array.prototype.slice.call(arguments);
+        var callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+
+        // Fill up left out optional arguments
+        args = args.slice(0, callbackPosition);
+        while (args.length < callbackPosition) {
+            args.push(undefined);
+        }
+
+        if (callback) {
+
+            args.push(callback);
+            return method.apply(self, args);
+        }
+
+        return new Promise(function(resolve, reject) {
+
+            args.push(function(error, result) {
+
+                if (error) {
+                    return reject(error);
+                }
+
+                return resolve(result);
+            })
+
+            try {
+                method.apply(self, args);
+            } catch(error) {
+                reject(error);
+            }
+        })
+    }
+}
+
+module.exports = promisify;
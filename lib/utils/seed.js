@@ -0,0 +1,133 @@
+var inputValidator = require("./inputValidator");
+var errors = require("../errors/inputErrors");
+
+var TRYTE_ALPHABET = '9ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+var SEED_LENGTH = 81;
+
+/**
+*   Random bytes of Node's crypto module, or of the Web Crypto API
+*
+*   @method randomBytes
+*   @param {int} length
+*   @returns {Uint8Array} bytes
+**/
+var randomBytes = function(length) {
+
+    try {
+        return require("crypto").randomBytes(length);
+    } catch(error) {
+
+        var bytes = new Uint8Array(length);
+        globalThis.crypto.getRandomValues(bytes);
+
+        return bytes;
+    }
+}
+
+/**
+*   Generates a random seed. Bytes of 243 and above are rejected, so that
+*   every tryte is equally likely (243 is the largest multiple of 27 below 256)
+*
+*   @method generateSeed
+*   @returns {string} seed 81 trytes
+**/
+var generateSeed = function() {
+
+    var seed = '';
+
+    while (seed.length < SEED_LENGTH) {
+
+        var bytes = randomBytes(SEED_LENGTH);
+
+        for (var i = 0; i < bytes.length && seed.length < SEED_LENGTH; i++) {
+
+            if (bytes[i] < 243) {
+                seed += TRYTE_ALPHABET.charAt(bytes[i] % 27);
+            }
+        }
+    }
+
+    return seed;
+}
+
+/**
+*   Checks a seed and reports weak inputs. Lowercase letters and surrounding
+*   whitespace are accepted, seeds shorter than 81 trytes are padded with 9s
+*
+*   @method checkSeed
+*   @param {string} seed
+*   @returns {object} report
+*       @property {bool} valid
+*       @property {string} seed Normalized seed, null if invalid
+*       @property {array} warnings SHORT, LOWERCASE or LOW_ENTROPY
+**/
+var checkSeed = function(seed) {
+
+    if (!inputValidator.isSeed(seed)) {
+        return { 'valid': false, 'seed': null, 'warnings': [] };
+    }
+
+    var trimmed = seed.trim();
+    var normalized = trimmed.toUpperCase();
+    var warnings = [];
+
+    if (normalized.length < SEED_LENGTH) {
+        warnings.push('SHORT');
+    }
+
+    if (normalized !== trimmed) {
+        warnings.push('LOWERCASE');
+    }
+
+    // A random seed uses nearly all 27 trytes
+    var distinct = {};
+    for (var i = 0; i < normalized.length; i++) {
+        distinct[normalized.charAt(i)] = true;
+    }
+
+    if (Object.keys(distinct).length < 15) {
+        warnings.push('LOW_ENTROPY');
+    }
+
+    while (normalized.length < SEED_LENGTH) {
+        normalized += '9';
+    }
+
+    return { 'valid': true, 'seed': normalized, 'warnings': warnings };
+}
+
+/**
+*   @method isValidSeed
+*   @param {string} seed
+*   @returns {bool}
+**/
+var isValidSeed = function(seed) {
+
+    return inputValidator.isSeed(seed);
+}
+
+/**
+*   Normalizes a seed to 81 uppercase trytes
+*
+*   @method normalizeSeed
+*   @param {string} seed
+*   @returns {string} seed
+**/
+var normalizeSeed = function(seed) {
+
+    var report = checkSeed(seed);
+
+    if (!report.valid) {
+        throw errors.invalidSeed();
+    }
+
+    return report.seed;
+}
+
+module.exports = {
+    randomBytes     : randomBytes,
+    generateSeed    : generateSeed,
+    checkSeed       : checkSeed,
+    isValidSeed     : isValidSeed,
+    normalizeSeed   : normalizeSeed
+};
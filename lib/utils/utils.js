@@ -3,6 +3,9 @@ var makeRequest = require("./makeRequest");
 var Curl = require("../crypto/curl");
 var Converter = require("../crypto/converter");
 var ascii = require("./asciiToTrytes");
+var Seed = require("./seed");
+var Shamir = require("../crypto/shamir");
+var Transaction = require("../crypto/transaction");
 
 /**
 *   Table of IOTA Units based off of the standard System of Units
@@ -50,18 +53,20 @@ var isConnected = function(host, callback) {
 }
 
 /**
-*   converts IOTA units
+*   converts IOTA units. The units are powers of 10, so the
+*   conversion is exact as long as the value is a string or BigInt
 *
 *   @method convertUnits
-*   @param {string} value
+*   @param {string|int|BigInt} value Decimal strings like "1.5" are accepted as well
 *   @param {string} fromUnit
 *   @param {string} toUnit
-*   @returns {integer} converted
+*   @returns {string} converted Decimal string without trailing zeros, null if
+*                   a fraction of an iota remains
 **/
 var convertUnits = function(value, fromUnit, toUnit) {
 
     // If not valid value, return null
-    if (!inputValidator.isValue(value)) {
+    if (!inputValidator.isValue(value) && !/^[0-9]+\.[0-9]+$/.test(value)) {
 
         // Should we actually return an error?
         return null;
@@ -71,11 +76,27 @@ var convertUnits = function(value, fromUnit, toUnit) {
         return null;
     }
 
-    if (typeof value === 'string') value = parseInt(value);
+    var parts = value.toString().split('.');
+    var fraction = parts[1] || '';
 
-    var converted = (value * unitMap[fromUnit]) / unitMap[toUnit];
+    // Value in iotas, times 10 to the power of the decimals of the value
+    var scaled = BigInt(parts[0] + fraction) * BigInt(unitMap[fromUnit]);
+    var decimals = fraction.length + unitMap[toUnit].toString().length - 1;
 
-    return converted;
+    var digits = scaled.toString();
+    while (digits.length <= decimals) {
+        digits = '0' + digits;
+    }
+
+    var integer = digits.slice(0, digits.length - decimals);
+    var decimal = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+    // There are no fractions of an iota
+    if (toUnit === 'i' && decimal) {
+        return null;
+    }
+
+    return decimal ? integer + '.' + decimal : integer;
 }
 
 /**
@@ -98,8 +119,7 @@ var isTrytes = inputValidator.isTrytes;
 var getChecksum = function(address) {
 
     // initialize empty state
-    var state = [];
-    Curl.initialize(state);
+    var state = Curl.initialize();
 
     // convert address into trits and map it into the state
     state = Converter.trits(address, state);
@@ -127,6 +147,20 @@ var noChecksum = function(address) {
     else return null;
 }
 
+/**
+*   Checks if the last 9 trytes of an address are its checksum
+*
+*   @method isValidChecksum
+*   @param {string} addressWithChecksum 90 trytes
+*   @returns {bool}
+**/
+var isValidChecksum = function(addressWithChecksum) {
+
+    if (!isTrytes(addressWithChecksum, 90)) return false;
+
+    return getChecksum(addressWithChecksum.slice(0, 81)) === addressWithChecksum;
+}
+
 /**
 *   Convert bytes to trytes
 *
@@ -159,43 +193,25 @@ var fromTrytes = function(trytes, type) {
 
 
 /**
-*   Converts transaction trytes of 2673 trytes into a transaction object
+*   Converts transaction trytes of 2673 trytes into a plain transaction
+*   object, see Transaction.fromTrytes for instances
 *
 *   @method transactionObject
 *   @param {string} trytes
-*   @returns {String} transactionObject
+*   @returns {object} transactionObject with the value as BigInt, null if the trytes are not a transaction
 **/
 var transactionObject = function(transactionTrytes) {
 
-    // validity check
-    for (var i = 2279; i < 2295; i++) {
-        if (transactionTrytes.charAt(i) != "9") {
-            return null;
-        }
+    try {
+        var transaction = Transaction.fromTrytes(transactionTrytes);
+    } catch(error) {
+        return null;
     }
-    var transactionObject = new Object();
-    var transactionTrits = Converter.trits(transactionTrytes);
-    var state = [];
-    var hash = [];
-
-    // Calculate the transaction hash
-    Curl.initialize(state);
-    Curl.absorb(transactionTrits, state);
-    Curl.squeeze(hash, state);
-    transactionObject.hash = Converter.trytes(hash);
-    transactionObject.signatureMessageFragment = transactionTrytes.slice(0, 2187);
-    transactionObject.address = transactionTrytes.slice(2187, 2268);
-    transactionObject.value = Converter.value(transactionTrits.slice(6804, 6837));
-    transactionObject.tag = transactionTrytes.slice(2295, 2322);
-    transactionObject.timestamp = Converter.value(transactionTrits.slice(6966, 6993));
-    transactionObject.currentIndex = Converter.value(transactionTrits.slice(6993, 7020));
-    transactionObject.lastIndex = Converter.value(transactionTrits.slice(7020, 7047));
-    transactionObject.bundle = transactionTrytes.slice(2349, 2430);
-    transactionObject.trunkTransaction = transactionTrytes.slice(2430, 2511);
-    transactionObject.branchTransaction = transactionTrytes.slice(2511, 2592);
-    transactionObject.nonce = transactionTrytes.slice(2592, 2673);
-
-    return transactionObject;
+
+    var object = transaction.toJSON();
+    object.value = transaction.value;
+
+    return object;
 }
 
 /**
@@ -207,48 +223,42 @@ var transactionObject = function(transactionTrytes) {
 **/
 var transactionTrytes = function(transactionObject) {
 
-    var valueTrits = Converter.trits(transactionObject.value);
-    while (valueTrits.length < 81) {
-        valueTrits[valueTrits.length] = 0;
-    }
-
-    var timestampTrits = Converter.trits(transactionObject.timestamp);
-    while (timestampTrits.length < 27) {
-        timestampTrits[timestampTrits.length] = 0;
-    }
-
-    var currentIndexTrits = Converter.trits(transactionObject.currentIndex);
-    while (currentIndexTrits.length < 27) {
-        currentIndexTrits[currentIndexTrits.length] = 0;
-    }
+    return new Transaction(transactionObject).toTrytes();
+}
 
-    var lastIndexTrits = Converter.trits(transactionObject.lastIndex);
-    while (lastIndexTrits.length < 27) {
-        lastIndexTrits[lastIndexTrits.length] = 0;
-    }
+/**
+*   JSON.stringify for results of the library. Values are BigInts,
+*   which JSON does not know, they are written as decimal strings.
+*   Every value parameter accepts decimal strings again
+*
+*   @method stringify
+*   @param {any} value
+*   @param {int|string} space Optional, indentation as in JSON.stringify
+*   @returns {string} json
+**/
+var stringify = function(value, space) {
 
-    return transactionObject.signatureMessageFragment
-            + transactionObject.address
-            + Converter.trytes(valueTrits)
-            + transactionObject.tag
-            + Converter.trytes(timestampTrits)
-            + Converter.trytes(currentIndexTrits)
-            + Converter.trytes(lastIndexTrits)
-            + transactionObject.bundle
-            + transactionObject.trunkTransaction
-            + transactionObject.branchTransaction
-            + transactionObject.nonce;
+    return JSON.stringify(value, function(key, entry) {
+        return typeof entry === 'bigint' ? entry.toString() : entry;
+    }, space);
 }
 
-
 module.exports = {
     isConnected         : isConnected,
     convertUnits        : convertUnits,
     isTrytes            : isTrytes,
     getChecksum         : getChecksum,
     noChecksum          : noChecksum,
+    isValidChecksum     : isValidChecksum,
     toTrytes            : toTrytes,
     fromTrytes          : fromTrytes,
     transactionObject   : transactionObject,
-    transactionTrytes   : transactionTrytes
+    transactionTrytes   : transactionTrytes,
+    stringify           : stringify,
+    generateSeed        : Seed.generateSeed,
+    checkSeed           : Seed.checkSeed,
+    isValidSeed         : Seed.isValidSeed,
+    normalizeSeed       : Seed.normalizeSeed,
+    splitSeed           : Shamir.split,
+    combineShares       : Shamir.combine
 }
@@ -0,0 +1,76 @@
+var parentPort = require("worker_threads").parentPort;
+var Pow = require("../crypto/pow");
+var Signing = require("../crypto/signing");
+var Converter = require("../crypto/converter");
+var Utils = require("../utils/utils");
+
+/**
+**      Entry point of the workers of the workerPool. Every message is a
+**      task, the worker answers with progress, result or error messages
+**/
+
+var tasks = {
+
+    /**
+    *   Searches a nonce, starting from the offset of this worker
+    **/
+    searchNonce: function(task, isCancelled, progress) {
+
+        return Pow.searchNonce(task.transactionTrits, task.minWeightMagnitude, {
+            'offset': task.offset,
+            'bct': task.bct,
+            'onProgress': function(attempts) {
+
+                progress({ 'attempts': attempts });
+                return !isCancelled();
+            }
+        });
+    },
+
+    /**
+    *   Generates the addresses of a range of key indexes
+    **/
+    addresses: function(task, isCancelled, progress) {
+
+        var seed = Converter.trits(task.seed);
+        var addresses = [];
+
+        for (var i = 0; i < task.total; i++) {
+
+            if (isCancelled()) return null;
+
+            var key = Signing.key(seed, task.index + i, task.security);
+            var digests = Signing.digests(key, task.bct);
+            var address = Converter.trytes(Signing.address(digests));
+
+            if (task.checksum) {
+                address = Utils.getChecksum(address);
+            }
+
+            addresses.push(address);
+            progress({ 'done': 1 });
+        }
+
+        return addresses;
+    }
+}
+
+parentPort.on('message', function(task) {
+
+    var isCancelled = function() {
+        return Atomics.load(task.cancelFlag, 0) === 1;
+    }
+
+    var progress = function(data) {
+        parentPort.postMessage({ 'type': 'progress', 'data': data });
+    }
+
+    try {
+
+        var result = tasks[task.type](task, isCancelled, progress);
+        parentPort.postMessage({ 'type': 'result', 'result': result });
+    } catch(error) {
+
+        parentPort.postMessage({ 'type': 'error', 'message': error.message });
+    }
+})
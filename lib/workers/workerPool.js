@@ -0,0 +1,336 @@
+var os = require("os");
+var path = require("path");
+var EventEmitter = require("events").EventEmitter;
+var errors = require("../errors/workerErrors");
+
+
+/**
+*   A job consists of one or more tasks which run in the workers.
+*   Emits 'progress' events and can be cancelled at any time
+*
+*   @constructor workerJob
+*   @param {object} pool
+*   @param {function} callback Called with error and result once the job is finished
+**/
+function workerJob(pool, callback) {
+
+    EventEmitter.call(this);
+
+    this.pool = pool;
+    this.callback = callback;
+    this.finished = false;
+
+    // Shared with the workers, so that running tasks can be stopped
+    this.cancelFlag = new Int32Array(new SharedArrayBuffer(4));
+}
+
+workerJob.prototype = Object.create(EventEmitter.prototype);
+workerJob.prototype.constructor = workerJob;
+
+/**
+*   Stops all running and queued tasks of the job
+*
+*   @method cancel
+**/
+workerJob.prototype.cancel = function() {
+
+    this.finish(errors.cancelled());
+}
+
+/**
+*   Finishes the job, remaining tasks are stopped
+*
+*   @method finish
+*   @param {object} error
+*   @param {object} result
+**/
+workerJob.prototype.finish = function(error, result) {
+
+    if (this.finished) return;
+    this.finished = true;
+
+    Atomics.store(this.cancelFlag, 0, 1);
+    this.pool.dequeue(this);
+
+    if (this.callback) {
+        return this.callback(error, result);
+    }
+}
+
+
+/**
+*   Pool of worker threads for the CPU heavy parts of the library,
+*   namely the nonce search and the generation of addresses
+*
+*   @constructor workerPool
+*   @param {object} options
+*       @property {int} size Number of workers, defaults to the number of CPU cores
+**/
+function workerPool(options) {
+
+    var options = options || {};
+
+    this.size = options.size || os.cpus().length;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+}
+
+/**
+*   Starts a new worker thread
+*
+*   @method spawn
+*   @returns {object} worker
+**/
+workerPool.prototype.spawn = function() {
+
+    var self = this;
+    var Worker;
+
+    try {
+        Worker = require("worker_threads").Worker;
+    } catch(error) {
+        throw errors.notSupported();
+    }
+
+    var worker = new Worker(path.join(__dirname, "worker.js"));
+    worker.current = null;
+
+    worker.on('message', function(message) {
+
+        var entry = worker.current;
+
+        if (message.type === 'progress') {
+
+            if (!entry.job.finished) entry.onProgress(message.data);
+            return;
+        }
+
+        worker.current = null;
+        worker.unref();
+        self.idle.push(worker);
+
+        if (!entry.job.finished) {
+
+            if (message.type === 'error') {
+                entry.job.finish(errors.workerFailed(message.message));
+            } else {
+                entry.onResult(message.result);
+            }
+        }
+
+        self.next();
+    })
+
+    worker.on('error', function(error) {
+
+        self.workers.splice(self.workers.indexOf(worker), 1);
+
+        if (worker.current) {
+            worker.current.job.finish(errors.workerFailed(error.message));
+        }
+
+        self.next();
+    })
+
+    // Idle workers should not keep the process alive
+    worker.unref();
+    self.workers.push(worker);
+
+    return worker;
+}
+
+/**
+*   Queues a task of a job
+*
+*   @method run
+*   @param {object} job
+*   @param {object} task Message which is sent to the worker
+*   @param {function} onProgress Called with the progress data of the worker
+*   @param {function} onResult Called with the result of the task
+**/
+workerPool.prototype.run = function(job, task, onProgress, onResult) {
+
+    task.cancelFlag = job.cancelFlag;
+
+    this.queue.push({
+        'job'         : job,
+        'task'        : task,
+        'onProgress'  : onProgress,
+        'onResult'    : onResult
+    })
+
+    this.next();
+}
+
+/**
+*   Hands queued tasks to idle workers
+*
+*   @method next
+**/
+workerPool.prototype.next = function() {
+
+    while (this.queue.length > 0) {
+
+        var worker = this.idle.pop() || (this.workers.length < this.size ? this.spawn() : null);
+
+        if (!worker) return;
+
+        var entry = this.queue.shift();
+
+        worker.current = entry;
+        worker.ref();
+        worker.postMessage(entry.task);
+    }
+}
+
+/**
+*   Removes the queued tasks of a job
+*
+*   @method dequeue
+*   @param {object} job
+**/
+workerPool.prototype.dequeue = function(job) {
+
+    this.queue = this.queue.filter(function(entry) {
+        return entry.job !== job;
+    })
+}
+
+/**
+*   Stops all workers of the pool
+*
+*   @method terminate
+**/
+workerPool.prototype.terminate = function() {
+
+    this.workers.forEach(function(worker) {
+        worker.terminate();
+    })
+
+    this.workers = [];
+    this.idle = [];
+}
+
+/**
+*   Searches a nonce with all workers, each starting from a different offset.
+*   The first nonce found finishes the job and stops the other workers
+*
+*   @method searchNonce
+*   @param {Array} transactionTrits
+*   @param {int} minWeightMagnitude
+*   @param {object} options
+*       @property {bool} bct Search with BctCurl in the workers
+*   @param {function} callback Called with error and the nonce trits
+*   @returns {object} job Emits 'progress' with attempts and expected attempts
+**/
+workerPool.prototype.searchNonce = function(transactionTrits, minWeightMagnitude, options, callback) {
+
+    var options = options || {};
+    var job = new workerJob(this, callback);
+    var attempts = [];
+    var expected = Math.pow(3, minWeightMagnitude);
+
+    var onProgress = function(offset) {
+
+        return function(data) {
+
+            attempts[offset] = data.attempts;
+
+            job.emit('progress', {
+                'attempts': attempts.reduce(function(a, b) { return a + b; }, 0),
+                'expected': expected
+            });
+        }
+    }
+
+    var onResult = function(nonce) {
+
+        // Workers which were stopped return null
+        if (nonce) job.finish(null, nonce);
+    }
+
+    for (var offset = 0; offset < this.size; offset++) {
+
+        attempts[offset] = 0;
+
+        this.run(job, {
+            'type'                : 'searchNonce',
+            'transactionTrits'    : Array.prototype.slice.call(transactionTrits),
+            'minWeightMagnitude'  : minWeightMagnitude,
+            'offset'              : offset,
+            'bct'                 : options.bct || false
+        }, onProgress(offset), onResult);
+    }
+
+    return job;
+}
+
+/**
+*   Generates the addresses of consecutive key indexes, the range of
+*   indexes is split evenly across the workers
+*
+*   @method generateAddresses
+*   @param {string} seed
+*   @param {int} index Key index of the first address
+*   @param {int} total Number of addresses
+*   @param {object} options
+*       @property {int} security
+*       @property {bool} checksum
+*       @property {bool} bct Calculate the digests with BctCurl
+*   @param {function} callback Called with error and the list of addresses
+*   @returns {object} job Emits 'progress' with the number of done and total addresses
+**/
+workerPool.prototype.generateAddresses = function(seed, index, total, options, callback) {
+
+    var job = new workerJob(this, callback);
+    var chunkSize = Math.ceil(total / this.size);
+
+    if (!total) {
+        setImmediate(function() { job.finish(null, []); });
+        return job;
+    }
+
+    var chunks = [];
+    var done = 0, remaining = 0;
+
+    var onProgress = function(data) {
+
+        done += data.done;
+        job.emit('progress', { 'done': done, 'total': total });
+    }
+
+    var onResult = function(chunk) {
+
+        return function(addresses) {
+
+            if (addresses === null) return;
+
+            chunks[chunk] = addresses;
+
+            if (--remaining === 0) {
+                job.finish(null, Array.prototype.concat.apply([], chunks));
+            }
+        }
+    }
+
+    for (var start = 0, chunk = 0; start < total; start += chunkSize, chunk++) {
+
+        remaining++;
+
+        this.run(job, {
+            'type'      : 'addresses',
+            'seed'      : seed,
+            'index'     : index + start,
+            'total'     : Math.min(chunkSize, total - start),
+            'security'  : options.security || 2,
+            'checksum'  : options.checksum || false,
+            'bct'       : options.bct || false
+        }, onProgress, onResult(chunk));
+    }
+
+    return job;
+}
+
+
+module.exports = workerPool;
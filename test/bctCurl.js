@@ -0,0 +1,65 @@
+var test = require("node:test");
+var assert = require("assert");
+var BctCurl = require("../lib/crypto/bctCurl");
+var Curl = require("../lib/crypto/curl");
+var Signing = require("../lib/crypto/signing");
+var Converter = require("../lib/crypto/converter");
+
+var curlHash = function(trits) {
+
+    var state = Curl.initialize();
+    var hash = new Int8Array(243);
+
+    Curl.absorb(trits, state);
+    Curl.squeeze(hash, state);
+
+    return hash;
+}
+
+// More inputs than lanes, so that the last batch is only partly filled
+var inputs = [];
+for (var i = 0; i < BctCurl.LANES + 8; i++) {
+    inputs.push(Converter.trits(Converter.trytes(Converter.trits(i * 7919)).padEnd(162, "9")));
+}
+
+test("encode and decode round trip the trits of every lane", function() {
+
+    var decoded = BctCurl.decode(BctCurl.encode(inputs.slice(0, BctCurl.LANES)), BctCurl.LANES);
+
+    decoded.forEach(function(trits, i) {
+        assert.deepStrictEqual(Array.from(trits), Array.from(inputs[i]));
+    })
+})
+
+test("hashBatch hashes like Curl", function() {
+
+    var hashes = BctCurl.hashBatch(inputs);
+
+    assert.strictEqual(hashes.length, inputs.length);
+
+    hashes.forEach(function(hash, i) {
+        assert.strictEqual(Converter.trytes(hash), Converter.trytes(curlHash(inputs[i])));
+    })
+})
+
+test("digests and addresses with bct equal the ones without", function() {
+
+    var keys = [0, 1].map(function(index) {
+        return Signing.key(Converter.trits("S".repeat(81)), index, 2);
+    })
+
+    var digests = keys.map(function(key) {
+
+        var digests = Signing.digests(key, true);
+        assert.deepStrictEqual(Array.from(digests), Array.from(Signing.digests(key)));
+
+        return digests;
+    })
+
+    var addresses = Signing.address(digests, true);
+
+    assert.strictEqual(addresses.length, 2);
+    addresses.forEach(function(address, i) {
+        assert.strictEqual(Converter.trytes(address), Converter.trytes(Signing.address(digests[i])));
+    })
+})
@@ -0,0 +1,146 @@
+var test = require("node:test");
+var assert = require("assert");
+var Bundle = require("../lib/crypto/bundle");
+var Transaction = require("../lib/crypto/transaction");
+var Transfers = require("../lib/crypto/transfers");
+var Pow = require("../lib/crypto/pow");
+var Signer = require("../lib/signers/signer");
+var IOTA = require("../lib/iota");
+
+var seed = "S".repeat(81);
+var signer = new Signer.SeedSigner(seed);
+var output = "A".repeat(81);
+var remainder = "R".repeat(81);
+var message = "M".repeat(2187) + "ESSAGE";
+
+// Signed trytes, tail last: an output with a two transaction message,
+// the input with two signature fragments and the remainder
+var signedTrytes = function(callback) {
+
+    signer.getAddress(0, 2, function(error, address) {
+
+        if (error) return callback(error);
+
+        var transfers = [{ 'address': output, 'value': 60, 'message': message, 'tag': '' }];
+        var inputs = [{ 'address': address, 'keyIndex': 0, 'balance': 100 }];
+
+        Transfers.signBundle(signer, Transfers.buildBundle(transfers, inputs, remainder, 2), function(error, trytes) {
+            callback(error, trytes, address);
+        })
+    })
+}
+
+test("fromTrytes orders the transactions by currentIndex", function(t, done) {
+
+    signedTrytes(function(error, trytes) {
+
+        assert.ifError(error);
+
+        var bundle = Bundle.fromTrytes(trytes.slice().reverse());
+
+        assert.strictEqual(bundle.bundle.length, 5);
+        assert.ok(bundle.bundle[0] instanceof Transaction);
+        assert.deepStrictEqual(bundle.bundle.map(function(tx) {
+            return tx.currentIndex;
+        }), [0, 1, 2, 3, 4]);
+        assert.deepStrictEqual(bundle.toTrytes(), trytes);
+        assert.deepStrictEqual(Bundle.fromTransactions(bundle.bundle).toTrytes(), trytes);
+
+        done();
+    })
+})
+
+test("the accessors split inputs, outputs, remainder and fragments", function(t, done) {
+
+    signedTrytes(function(error, trytes, address) {
+
+        assert.ifError(error);
+
+        var bundle = Bundle.fromTrytes(trytes);
+
+        assert.strictEqual(bundle.bundleHash(), bundle.bundle[0].bundle);
+        assert.strictEqual(bundle.totalValue(), BigInt(0));
+        assert.deepStrictEqual(bundle.inputs().map(function(tx) { return tx.value; }), [BigInt(-100)]);
+        assert.deepStrictEqual(bundle.outputs().map(function(tx) { return tx.address; }), [output]);
+        assert.strictEqual(bundle.remainder().address, remainder);
+        assert.strictEqual(bundle.remainder().value, BigInt(40));
+
+        var groups = bundle.signatureGroups();
+
+        assert.strictEqual(groups.length, 1);
+        assert.strictEqual(groups[0].address, address);
+        assert.strictEqual(groups[0].index, 2);
+        assert.strictEqual(groups[0].signatureFragments.length, 2);
+
+        var fragments = bundle.messageFragments();
+
+        assert.strictEqual(fragments.length, 3);
+        assert.strictEqual(fragments[0] + fragments[1].slice(0, 6), message);
+
+        done();
+    })
+})
+
+test("an empty bundle has no hash", function() {
+
+    var bundle = Bundle.fromTransactions([]);
+
+    assert.strictEqual(bundle.bundleHash(), null);
+    assert.strictEqual(bundle.remainder(), null);
+    assert.deepStrictEqual(bundle.toTrytes(), []);
+})
+
+test("replayTransfer attaches the bundle again with depth and minWeightMagnitude", function(t, done) {
+
+    signedTrytes(function(error, trytes) {
+
+        assert.ifError(error);
+
+        var attached = Pow.attachToTangle("T".repeat(81), "B".repeat(81), 1, trytes);
+        var byHash = {};
+        var commands = {};
+        var tail;
+
+        attached.forEach(function(transactionTrytes) {
+
+            var hash = Pow.transactionHash(transactionTrytes);
+
+            byHash[hash] = transactionTrytes;
+            if (Transaction.fromTrytes(transactionTrytes).isTail()) tail = hash;
+        })
+
+        var iota = new IOTA({ 'transport': new IOTA.transports.function(function(command, callback) {
+
+            commands[command.command] = command;
+
+            if (command.command === 'getTrytes') {
+                return callback(null, { 'trytes': command.hashes.map(function(hash) {
+                    return byHash[hash] || "9".repeat(2673);
+                }) });
+            }
+            if (command.command === 'getTransactionsToApprove') {
+                return callback(null, { 'trunkTransaction': "T".repeat(81), 'branchTransaction': "B".repeat(81) });
+            }
+            if (command.command === 'attachToTangle') {
+                return callback(null, { 'trytes': command.trytes });
+            }
+
+            callback(null, {});
+        }) });
+
+        iota.api.replayTransfer(tail, 4, 9, function(error, transactions) {
+
+            assert.ifError(error);
+            assert.strictEqual(commands.getTransactionsToApprove.depth, 4);
+            assert.strictEqual(commands.attachToTangle.minWeightMagnitude, 9);
+            assert.deepStrictEqual(commands.attachToTangle.trytes.map(function(transactionTrytes) {
+                return transactionTrytes.slice(0, 2430);
+            }), trytes.map(function(transactionTrytes) {
+                return transactionTrytes.slice(0, 2430);
+            }));
+            assert.strictEqual(transactions.length, 5);
+
+            done();
+        })
+    })
+})
@@ -0,0 +1,90 @@
+var test = require("node:test");
+var assert = require("assert");
+var BundleBuilder = require("../lib/crypto/bundleBuilder");
+var Transfers = require("../lib/crypto/transfers");
+var Signer = require("../lib/signers/signer");
+var Utils = require("../lib/utils/utils");
+var validateBundle = require("../lib/crypto/validateBundle").validateBundle;
+
+var output = "A".repeat(81);
+var remainder = "R".repeat(81);
+var input = { 'address': "I".repeat(81), 'keyIndex': 3, 'balance': 150 };
+
+test("build returns the unsigned bundle of the steps", function() {
+
+    var builder = new BundleBuilder()
+        .addOutput(Utils.getChecksum(output), 100, { 'tag': 'PAYMENT' })
+        .addDataOnly("D".repeat(81), "M".repeat(2188))
+        .addInput(input)
+        .setRemainder(remainder);
+
+    assert.strictEqual(builder.totalValue(), BigInt(100));
+    assert.strictEqual(builder.totalBalance(), BigInt(150));
+    assert.strictEqual(builder.transactionCount(), 1 + 2 + 2 + 1);
+
+    var unsignedBundle = builder.build();
+
+    assert.strictEqual(unsignedBundle.transactions.length, 6);
+    assert.strictEqual(unsignedBundle.transactions[0].address, output);
+    assert.strictEqual(unsignedBundle.transactions[0].tag, "PAYMENT" + "9".repeat(20));
+    assert.strictEqual(unsignedBundle.remainder, BigInt(50));
+    assert.strictEqual(unsignedBundle.remainderAddress, remainder);
+    assert.deepStrictEqual(unsignedBundle.inputs, [{ 'address': input.address, 'keyIndex': 3, 'security': 2, 'balance': BigInt(150) }]);
+})
+
+test("a built bundle signs into a valid bundle", function(t, done) {
+
+    var signer = new Signer.SeedSigner("S".repeat(81));
+
+    signer.getAddress(0, 1, function(error, address) {
+
+        var unsignedBundle = new BundleBuilder({ 'security': 1 })
+            .addOutput(output, 10)
+            .addInput({ 'address': address, 'keyIndex': 0, 'balance': 10 })
+            .build();
+
+        Transfers.signBundle(signer, unsignedBundle, function(error, trytes) {
+
+            assert.ifError(error);
+            assert.strictEqual(trytes.length, 2);
+            assert.strictEqual(validateBundle(trytes).valid, true);
+
+            done();
+        })
+    })
+})
+
+test("every step is validated right away", function() {
+
+    var builder = new BundleBuilder().addOutput(output, 10).addInput(input);
+
+    assert.throws(function() { builder.addOutput("A", 1); }, { 'code': 'INVALID_TRYTES', 'field': 'address' });
+    assert.throws(function() { builder.addOutput(output.slice(0, 80) + "B", -1); }, { 'code': 'INVALID_VALUE' });
+    assert.throws(function() { builder.addOutput(output, 1, { 'tag': "T".repeat(28) }); }, { 'code': 'INVALID_TRYTES', 'field': 'tag' });
+    assert.throws(function() { builder.addOutput(input.address, 1); }, { 'code': 'DUPLICATE_ADDRESS' });
+    assert.throws(function() { builder.addInput(input); }, { 'code': 'DUPLICATE_ADDRESS' });
+    assert.throws(function() { builder.addInput({ 'address': remainder, 'keyIndex': 0, 'balance': 0 }); }, { 'code': 'INVALID_VALUE', 'field': 'balance' });
+    assert.throws(function() { builder.setRemainder(input.address); }, { 'code': 'DUPLICATE_ADDRESS' });
+    assert.throws(function() { builder.addDataOnly(output, ""); }, { 'code': 'INVALID_TRYTES', 'field': 'payload' });
+    assert.throws(function() { new BundleBuilder({ 'security': 4 }); }, { 'code': 'INVALID_SECURITY' });
+
+    var wrongChecksum = Utils.getChecksum(output).slice(0, 89) + "9";
+    assert.throws(function() { builder.setRemainder(wrongChecksum); }, { 'code': 'INVALID_CHECKSUM' });
+})
+
+test("build checks the balance, the remainder and the size", function() {
+
+    assert.throws(function() { new BundleBuilder().build(); }, { 'code': 'INVALID_TRANSFERS' });
+
+    assert.throws(function() {
+        new BundleBuilder().addOutput(output, 200).addInput(input).build();
+    }, { 'code': 'NOT_ENOUGH_BALANCE' });
+
+    assert.throws(function() {
+        new BundleBuilder().addOutput(output, 100).addInput(input).build();
+    }, { 'code': 'NO_REMAINDER_ADDRESS' });
+
+    assert.throws(function() {
+        new BundleBuilder({ 'maxTransactions': 3 }).addOutput(output, 100).addInput(input).setRemainder(remainder).build();
+    }, { 'code': 'BUNDLE_TOO_LARGE', 'transactions': 4, 'maxTransactions': 3 });
+})
@@ -0,0 +1,102 @@
+var test = require("node:test");
+var assert = require("assert");
+var Utils = require("../lib/utils/utils");
+var inputValidator = require("../lib/utils/inputValidator");
+var IOTA = require("../lib/iota");
+
+var address = "WZNMWQUTTQWDORROQZZIKJPQAT9CNEEWUK9QCYIURNCPFZPTRY9SEVGSPEHBOYDHWOFJKCVNEMKQUUKUY";
+var withChecksum = Utils.getChecksum(address);
+
+// Same address with the last tryte of the checksum changed
+var wrongChecksum = withChecksum.slice(0, 89) + (withChecksum[89] === "A" ? "B" : "A");
+
+var recordingIota = function(commands, response) {
+
+    return new IOTA({ 'transport': new IOTA.transports.function(function(command, callback) {
+
+        commands.push(command);
+        callback(null, response);
+    }) });
+}
+
+test("checksums are added, validated and removed", function() {
+
+    assert.strictEqual(withChecksum.length, 90);
+    assert.strictEqual(withChecksum.slice(0, 81), address);
+    assert.strictEqual(Utils.noChecksum(withChecksum), address);
+    assert.strictEqual(Utils.noChecksum(address), address);
+
+    assert.ok(Utils.isValidChecksum(withChecksum));
+    assert.ok(!Utils.isValidChecksum(wrongChecksum));
+    assert.ok(!Utils.isValidChecksum(address));
+
+    assert.ok(inputValidator.isAddress(address));
+    assert.ok(inputValidator.isAddress(withChecksum));
+    assert.ok(!inputValidator.isAddress(wrongChecksum));
+    assert.ok(inputValidator.isArrayOfAddresses([address, withChecksum]));
+})
+
+test("getNewAddress with checksum returns valid checksums", function(t, done) {
+
+    new IOTA().api.getNewAddress("S".repeat(81), { 'index': 0, 'total': 1, 'checksum': true }, function(error, addresses) {
+
+        assert.ifError(error);
+        assert.deepStrictEqual(addresses, [withChecksum]);
+
+        done();
+    })
+})
+
+test("the node gets addresses without checksum", function(t, done) {
+
+    var commands = [];
+    var iota = recordingIota(commands, { 'balances': ['1'], 'hashes': [] });
+
+    iota.api.getBalances([withChecksum], 100, function(error) {
+
+        assert.ifError(error);
+
+        iota.api.findTransactions({ 'addresses': [withChecksum] }, function(error) {
+
+            assert.ifError(error);
+            assert.deepStrictEqual(commands[0].addresses, [address]);
+            assert.deepStrictEqual(commands[1].addresses, [address]);
+
+            done();
+        })
+    })
+})
+
+test("a wrong checksum is rejected with INVALID_CHECKSUM", function(t, done) {
+
+    var commands = [];
+    var iota = recordingIota(commands, {});
+
+    // Input errors of the node commands are thrown
+    assert.throws(function() {
+        iota.api.getBalances([address, wrongChecksum], 100, function() {});
+    }, { 'code': 'INVALID_CHECKSUM', 'address': wrongChecksum });
+
+    var transfers = [{ 'address': wrongChecksum, 'value': 0, 'message': '', 'tag': '' }];
+
+    iota.api.prepareTransfers("S".repeat(81), transfers, function(error) {
+
+        assert.strictEqual(error.code, 'INVALID_CHECKSUM');
+        assert.strictEqual(commands.length, 0);
+
+        done();
+    })
+})
+
+test("bundles contain the addresses without checksum", function(t, done) {
+
+    var transfers = [{ 'address': withChecksum, 'value': 0, 'message': '', 'tag': '' }];
+
+    new IOTA().api.prepareTransfers("S".repeat(81), transfers, function(error, trytes) {
+
+        assert.ifError(error);
+        assert.strictEqual(Utils.transactionObject(trytes[0]).address, address);
+
+        done();
+    })
+})
@@ -0,0 +1,44 @@
+var test = require("node:test");
+var assert = require("assert");
+var Curl = require("../lib/crypto/curl");
+var Converter = require("../lib/crypto/converter");
+
+var hash = function(trytes) {
+
+    var state = Curl.initialize();
+    var out = new Int8Array(243);
+
+    Curl.absorb(Converter.trits(trytes), state);
+    Curl.squeeze(out, state);
+
+    return Converter.trytes(out);
+}
+
+test("Converter converts between trytes, trits and values", function() {
+
+    var trits = Converter.trits("ABZ9N");
+
+    assert.ok(trits instanceof Int8Array);
+    assert.deepStrictEqual(Array.from(trits), [1, 0, 0, -1, 1, 0, -1, 0, 0, 0, 0, 0, -1, -1, -1]);
+    assert.strictEqual(Converter.trytes(trits), "ABZ9N");
+    assert.strictEqual(Converter.value(trits), -6909407);
+    assert.deepEqual(Converter.trits(-42), [0, 1, 1, 1, -1]);
+    assert.strictEqual(Converter.value(Converter.trits(-42)), -42);
+})
+
+test("Curl hashes one and several chunks like the array implementation", function() {
+
+    assert.strictEqual(hash("A".repeat(81)),
+        "IJLORVEGMDQRTKKZQFTRFGHUDMLBX9PWRBIGBEHJL9WAYISBJHVOUSQWSYVJVCQDGTEGAQWGNOOXDVPUF");
+    assert.strictEqual(hash("IOTA".repeat(668) + "9"),
+        "XCOIYIAYKQYYPPJF9UKSBQKZQCLPUUUYUAHKELWJMKC9BSYFIOM9UYRJRATFRAWXV9LZJBANSJN9D9MW9");
+})
+
+test("initialize resets a given state", function() {
+
+    var state = Curl.initialize();
+    Curl.absorb(Converter.trits("A".repeat(81)), state);
+
+    assert.strictEqual(Curl.initialize(state), state);
+    assert.ok(state.every(function(trit) { return trit === 0; }));
+})
@@ -0,0 +1,91 @@
+var test = require("node:test");
+var assert = require("assert");
+var errorTypes = require("../lib/errors/errorTypes");
+var inputErrors = require("../lib/errors/inputErrors");
+var IOTA = require("../lib/iota");
+
+var nodeTransport = function(handler) {
+    return new IOTA.transports.function(handler);
+}
+
+test("errors are typed and carry a code and their context", function() {
+
+    var error = inputErrors.invalidTrytes("address");
+
+    assert.ok(error instanceof Error);
+    assert.ok(error instanceof errorTypes.IotaError);
+    assert.ok(error instanceof errorTypes.InputError);
+    assert.strictEqual(error.name, 'InputError');
+    assert.strictEqual(error.code, 'INVALID_TRYTES');
+    assert.strictEqual(error.field, 'address');
+    assert.ok(/errors\.js/.test(error.stack));
+
+    // Context which is not given is left out
+    assert.ok(!('balance' in inputErrors.notEnoughBalance(undefined, 10)));
+})
+
+test("errors of the node carry the node, its status and its response", function(t, done) {
+
+    var iota = new IOTA({ 'transport': nodeTransport(function(command, callback) {
+        callback(null, { 'error': 'Invalid parameters' });
+    }) });
+
+    iota.api.getNodeInfo(function(error) {
+
+        assert.ok(error instanceof errorTypes.RequestError);
+        assert.strictEqual(error.code, 'NODE_ERROR');
+        assert.strictEqual(error.host, 'http://localhost:14265');
+        assert.strictEqual(error.status, 200);
+        assert.deepStrictEqual(error.response, { 'error': 'Invalid parameters' });
+
+        done();
+    })
+})
+
+test("unreachable nodes fail with NO_CONNECTION and the cause", function(t, done) {
+
+    var cause = new Error("ECONNREFUSED");
+    var iota = new IOTA({ 'host': 'http://node', 'transport': nodeTransport(function(command, callback) {
+        callback(cause);
+    }) });
+
+    iota.api.getNodeInfo(function(error) {
+
+        assert.strictEqual(error.code, 'NO_CONNECTION');
+        assert.strictEqual(error.host, 'http://node:14265');
+        assert.strictEqual(error.cause, cause);
+
+        done();
+    })
+})
+
+test("api input errors name the field", async function() {
+
+    var iota = new IOTA({ 'transport': nodeTransport(function(command, callback) {
+        callback(null, {});
+    }) });
+
+    await assert.rejects(iota.api.getTrytes(["invalid"]), function(error) {
+        return error.code === 'INVALID_TRYTES' && error instanceof errorTypes.InputError;
+    })
+})
+
+test("inputs below the threshold fail with NOT_ENOUGH_BALANCE", function(t, done) {
+
+    var iota = new IOTA({ 'transport': nodeTransport(function(command, callback) {
+
+        if (command.command === 'getBalances') return callback(null, { 'balances': command.addresses.map(function() { return '5'; }) });
+        if (command.command === 'findTransactions') return callback(null, { 'hashes': [] });
+
+        callback(null, {});
+    }) });
+
+    iota.api.getInputs("S".repeat(81), { 'threshold': 10 }, function(error) {
+
+        assert.strictEqual(error.code, 'NOT_ENOUGH_BALANCE');
+        assert.strictEqual(error.balance, BigInt(5));
+        assert.strictEqual(error.required, BigInt(10));
+
+        done();
+    })
+})
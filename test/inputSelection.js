@@ -0,0 +1,144 @@
+var test = require("node:test");
+var assert = require("assert");
+var InputSelection = require("../lib/utils/inputSelection");
+var Signing = require("../lib/crypto/signing");
+var Converter = require("../lib/crypto/converter");
+var Utils = require("../lib/utils/utils");
+var IOTA = require("../lib/iota");
+
+var seed = "S".repeat(81);
+
+var address = function(index) {
+
+    var key = Signing.key(Converter.trits(seed), index, 2);
+
+    return Converter.trytes(Signing.address(Signing.digests(key)));
+}
+
+var candidates = [5, 20, 7, 3].map(function(balance, index) {
+    return { 'address': address(index), 'keyIndex': index, 'security': 2, 'balance': balance };
+})
+
+var keyIndexes = function(selection) {
+    return selection.inputs.map(function(input) {
+        return input.keyIndex;
+    })
+}
+
+test("the strategies choose different inputs", function() {
+
+    assert.deepStrictEqual(keyIndexes(InputSelection.select(candidates, 10)), [0, 1]);
+    assert.deepStrictEqual(keyIndexes(InputSelection.select(candidates, 10, 'largestFirst')), [1]);
+    assert.deepStrictEqual(keyIndexes(InputSelection.select(candidates, 6, 'bestFit')), [2]);
+    assert.deepStrictEqual(keyIndexes(InputSelection.select(candidates, 10, 'exactMatch')), [2, 3]);
+    assert.deepStrictEqual(keyIndexes(InputSelection.select(candidates, 10, 'all')), [0, 1, 2, 3]);
+
+    // Without an exact match it falls back to bestFit
+    assert.deepStrictEqual(keyIndexes(InputSelection.select(candidates, 6, 'exactMatch')), [2]);
+})
+
+test("the report explains the selection", function() {
+
+    var report = InputSelection.select(candidates, 10, 'exactMatch').report;
+
+    assert.strictEqual(report.strategy, 'exactMatch');
+    assert.strictEqual(report.threshold, BigInt(10));
+    assert.strictEqual(report.totalBalance, BigInt(10));
+    assert.strictEqual(report.remainder, BigInt(0));
+    assert.deepStrictEqual(report.inputs.map(function(input) {
+        return [input.keyIndex, input.balance, input.address];
+    }), [[2, BigInt(7), candidates[2].address], [3, BigInt(3), candidates[3].address]]);
+    assert.ok(report.inputs.every(function(input) {
+        return typeof input.reason === 'string';
+    }));
+})
+
+test("custom selectors are checked", function() {
+
+    var selection = InputSelection.select(candidates, 8, function(inputs) {
+        return [inputs[3], inputs[0]];
+    });
+
+    assert.deepStrictEqual(keyIndexes(selection), [0, 3]);
+    assert.strictEqual(selection.report.strategy, 'custom');
+
+    assert.throws(function() {
+        InputSelection.select(candidates, 8, function(inputs) { return [inputs[1], inputs[1]]; });
+    }, { 'code': 'INVALID_INPUTS' });
+
+    assert.throws(function() {
+        InputSelection.select(candidates, 8, function(inputs) { return [inputs[0]]; });
+    }, { 'code': 'NOT_ENOUGH_BALANCE' });
+
+    assert.throws(function() {
+        InputSelection.select(candidates, 8, 'smallestFirst');
+    }, { 'code': 'INVALID_INPUT_SELECTION' });
+
+    assert.throws(function() {
+        InputSelection.select(candidates, 36);
+    }, { 'code': 'NOT_ENOUGH_BALANCE', 'balance': BigInt(35) });
+})
+
+var balancesIota = function() {
+
+    var balances = {};
+    candidates.forEach(function(candidate) {
+        balances[candidate.address] = String(candidate.balance);
+    })
+
+    return new IOTA({ 'transport': new IOTA.transports.function(function(command, callback) {
+
+        // No transactions, none of the addresses was spent from
+        if (command.command === 'findTransactions') {
+            return callback(null, { 'hashes': [] });
+        }
+
+        assert.strictEqual(command.command, 'getBalances');
+        callback(null, { 'balances': command.addresses.map(function(address) {
+            return balances[address];
+        }) });
+    }) });
+}
+
+test("getInputs returns the selection report with the inputs", async function() {
+
+    var inputs = await balancesIota().api.getInputs(seed, { 'start': 0, 'end': 3, 'threshold': 10, 'inputSelection': 'largestFirst' });
+
+    assert.strictEqual(inputs.totalBalance, BigInt(20));
+    assert.deepStrictEqual(inputs.inputs.map(function(input) { return input.keyIndex; }), [1]);
+    assert.strictEqual(inputs.selection.strategy, 'largestFirst');
+    assert.strictEqual(inputs.selection.remainder, BigInt(10));
+})
+
+test("prepareTransfers reports the selection through onSelection", function(t, done) {
+
+    var reports = [];
+    var transfers = [{ 'address': "R".repeat(81), 'value': 10, 'message': '', 'tag': '' }];
+    var options = {
+        'inputs': candidates.map(function(candidate) {
+            return { 'address': candidate.address, 'keyIndex': candidate.keyIndex };
+        }),
+        'inputSelection': 'exactMatch',
+        'onSelection': function(report) {
+            reports.push(report);
+        }
+    };
+
+    balancesIota().api.prepareTransfers(seed, transfers, options, function(error, trytes) {
+
+        assert.ifError(error);
+        assert.strictEqual(reports.length, 1);
+        assert.strictEqual(reports[0].strategy, 'exactMatch');
+        assert.strictEqual(trytes.selection, undefined);
+
+        var inputAddresses = trytes.map(Utils.transactionObject).filter(function(tx) {
+            return tx.value < 0;
+        }).map(function(tx) {
+            return tx.address;
+        })
+
+        assert.deepStrictEqual(inputAddresses, [candidates[3].address, candidates[2].address]);
+
+        done();
+    })
+})
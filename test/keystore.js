@@ -0,0 +1,97 @@
+var test = require("node:test");
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var keystore = require("../lib/keystore/keystore");
+
+var seed = "S".repeat(81);
+
+// Cheap scrypt parameters, the defaults take a second per key
+var options = { 'n': 1024, 'r': 8, 'p': 1 };
+
+var copy = function(object) {
+    return JSON.parse(JSON.stringify(object));
+}
+
+test("encrypt and decrypt round trip the seed", async function() {
+
+    var encrypted = await keystore.encrypt(seed, "password", options);
+
+    assert.strictEqual(encrypted.version, keystore.VERSION);
+    assert.strictEqual(encrypted.crypto.kdfparams.n, 1024);
+    assert.ok(encrypted.crypto.ciphertext.indexOf(seed) === -1);
+
+    assert.strictEqual(await keystore.decrypt(encrypted, "password"), seed);
+    assert.strictEqual(await keystore.decrypt(JSON.stringify(encrypted), "password"), seed);
+})
+
+test("a wrong password and modified data are detected", async function() {
+
+    var encrypted = await keystore.encrypt(seed, "password", options);
+
+    await assert.rejects(keystore.decrypt(encrypted, "Password"), { 'code': 'WRONG_PASSWORD' });
+
+    var ciphertext = copy(encrypted);
+    ciphertext.crypto.ciphertext = (ciphertext.crypto.ciphertext[0] === '0' ? '1' : '0') + ciphertext.crypto.ciphertext.slice(1);
+    await assert.rejects(keystore.decrypt(ciphertext, "password"), { 'code': 'WRONG_PASSWORD' });
+
+    var kdfparams = copy(encrypted);
+    kdfparams.crypto.kdfparams.r = 4;
+    await assert.rejects(keystore.decrypt(kdfparams, "password"), { 'code': 'WRONG_PASSWORD' });
+
+    var version = copy(encrypted);
+    version.version = keystore.VERSION + 1;
+    await assert.rejects(keystore.decrypt(version, "password"), { 'code': 'UNSUPPORTED_VERSION' });
+})
+
+test("corrupt keystores are rejected with the field", async function() {
+
+    var encrypted = await keystore.encrypt(seed, "password", options);
+
+    var corrupt = function(field, change) {
+
+        var modified = copy(encrypted);
+        change(modified.crypto);
+
+        return assert.rejects(keystore.decrypt(modified, "password"), { 'code': 'INVALID_KEYSTORE', 'field': field });
+    }
+
+    await assert.rejects(keystore.decrypt("{", "password"), { 'code': 'INVALID_KEYSTORE', 'field': 'json' });
+    await corrupt('iv', function(crypto) { crypto.iv = crypto.iv.slice(2); });
+    await corrupt('tag', function(crypto) { crypto.tag = "zz" + crypto.tag.slice(2); });
+    await corrupt('ciphertext', function(crypto) { delete crypto.ciphertext; });
+    await corrupt('kdfparams', function(crypto) { crypto.kdfparams.dklen = 16; });
+    await corrupt('kdfparams', function(crypto) { crypto.kdfparams.n = 1000; });
+})
+
+test("encrypt rejects invalid seeds and empty passwords", async function() {
+
+    await assert.rejects(keystore.encrypt("S-S", "password", options), { 'code': 'INVALID_SEED' });
+    await assert.rejects(keystore.encrypt(seed, "", options), { 'code': 'INVALID_KEYSTORE', 'field': 'password' });
+})
+
+test("save, load and changePassword work on files", async function() {
+
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), "keystore-"));
+    var file = path.join(directory, "seed.json");
+
+    try {
+
+        await keystore.save(file, seed, "password", options);
+
+        assert.strictEqual(fs.statSync(file).mode & 511, 384);
+        assert.strictEqual(await keystore.load(file, "password"), seed);
+
+        await keystore.changePassword(file, "password", "new password", options);
+
+        await assert.rejects(keystore.load(file, "password"), { 'code': 'WRONG_PASSWORD' });
+        assert.strictEqual(await keystore.load(file, "new password"), seed);
+        assert.deepStrictEqual(fs.readdirSync(directory), ["seed.json"]);
+
+        await assert.rejects(keystore.load(path.join(directory, "missing.json"), "password"), { 'code': 'KEYSTORE_FILE_ERROR' });
+    } finally {
+
+        fs.rmSync(directory, { 'recursive': true });
+    }
+})
@@ -0,0 +1,102 @@
+var test = require("node:test");
+var assert = require("assert");
+var makeRequest = require("../lib/utils/makeRequest");
+
+// Fails the first failures attempts with a connection error, answers afterwards
+var flakyTransport = function(failures) {
+
+    var transport = {
+        'attempts': 0,
+        'send': function(provider, payload, callback) {
+
+            if (transport.attempts++ < failures) return callback(new Error("ECONNRESET"));
+
+            callback(null, JSON.stringify({ 'command': JSON.parse(payload).command }), 200);
+        }
+    };
+
+    return transport;
+}
+
+test("idempotent commands are retried until they succeed", function(t, done) {
+
+    var transport = flakyTransport(2);
+    var request = new makeRequest("http://node:14265", transport, { 'retries': 2, 'retryDelay': 1 });
+
+    request.send({ 'command': 'getBalances' }, function(error, result) {
+
+        assert.ifError(error);
+        assert.strictEqual(result.command, 'getBalances');
+        assert.strictEqual(transport.attempts, 3);
+
+        done();
+    })
+})
+
+test("retries give up after the configured number of attempts", function(t, done) {
+
+    var transport = flakyTransport(5);
+    var request = new makeRequest("http://node:14265", transport, { 'retries': 1, 'retryDelay': 1 });
+
+    request.send({ 'command': 'getTrytes' }, function(error) {
+
+        assert.ok(/No connection/.test(error.message));
+        assert.strictEqual(transport.attempts, 2);
+
+        done();
+    })
+})
+
+test("attachToTangle is never retried", function(t, done) {
+
+    var transport = flakyTransport(1);
+    var request = new makeRequest("http://node:14265", transport, { 'retries': 3, 'retryDelay': 1 });
+
+    request.send({ 'command': 'attachToTangle' }, function(error) {
+
+        assert.ok(error);
+        assert.strictEqual(transport.attempts, 1);
+
+        done();
+    })
+})
+
+test("a node which does not answer times out per command", function(t, done) {
+
+    var aborted = 0;
+    var hanging = {
+        'send': function() {
+            return { 'abort': function() { aborted++; } };
+        }
+    };
+
+    var request = new makeRequest("http://node:14265", hanging, { 'timeout': 10, 'timeouts': { 'getTips': 20 } });
+
+    assert.strictEqual(request.getTimeout('getNodeInfo'), 10);
+    assert.strictEqual(request.getTimeout('getTips'), 20);
+    assert.strictEqual(new makeRequest().getTimeout('attachToTangle'), 300000);
+
+    request.send({ 'command': 'getNodeInfo' }, function(error) {
+
+        assert.ok(/Timeout/.test(error.message));
+        assert.strictEqual(aborted, 1);
+
+        done();
+    })
+})
+
+test("the backoff grows exponentially up to the limit, with jitter", function() {
+
+    var request = new makeRequest(null, null, { 'retryDelay': 100, 'maxRetryDelay': 1000 });
+
+    for (var i = 0; i < 20; i++) {
+
+        var first = request.retryBackoff(0);
+        var third = request.retryBackoff(2);
+        var late = request.retryBackoff(10);
+
+        assert.ok(first >= 50 && first <= 100);
+        assert.ok(third >= 200 && third <= 400);
+        assert.ok(late >= 500 && late <= 1000);
+    }
+})
@@ -0,0 +1,111 @@
+var test = require("node:test");
+var assert = require("assert");
+var IOTA = require("../lib/iota");
+var Multisig = require("../lib/multisig/multisig");
+
+var seedA = "A".repeat(81);
+var seedB = "B".repeat(81);
+var output = "R".repeat(81);
+var remainder = "Q".repeat(81);
+
+var setup = function(balances) {
+
+    var iota = new IOTA({ 'transport': new IOTA.transports.function(function(command, callback) {
+
+        assert.strictEqual(command.command, 'getBalances');
+        callback(null, { 'balances': balances });
+    }) });
+
+    var digests = [
+        iota.multisig.getDigest(seedA, 0, 3),
+        iota.multisig.getDigest(seedB, 0, 2)
+    ];
+
+    return {
+        'iota': iota,
+        'digests': digests,
+        'address': iota.multisig.address(digests)
+    };
+}
+
+test("the multisig address depends on the digests and their order", function() {
+
+    var multisig = setup([]);
+
+    assert.strictEqual(multisig.digests[0].length, 3 * 81);
+    assert.strictEqual(multisig.address.length, 81);
+    assert.ok(multisig.iota.multisig.validateAddress(multisig.address, multisig.digests));
+    assert.ok(!multisig.iota.multisig.validateAddress(multisig.address, multisig.digests.slice().reverse()));
+    assert.strictEqual(new Multisig.Address().absorb(multisig.digests[0]).absorb(multisig.digests[1]).finalize(), multisig.address);
+})
+
+test("co-signers sign one after the other in the order of their digests", function(t, done) {
+
+    var multisig = setup(['15']);
+    var api = multisig.iota.multisig;
+    var input = { 'address': multisig.address, 'securitySum': 5 };
+    var transfers = [{ 'address': output, 'value': 10, 'message': '', 'tag': '' }];
+
+    api.initiateTransfer(input, remainder, transfers, function(error, bundle) {
+
+        assert.ifError(error);
+
+        // Output, 5 input transactions, remainder
+        assert.strictEqual(bundle.length, 7);
+        assert.strictEqual(bundle[1].value, BigInt(-15));
+        assert.strictEqual(bundle[6].address, remainder);
+        assert.strictEqual(bundle[6].value, BigInt(5));
+
+        api.addSignature(bundle, multisig.address, api.getKey(seedA, 0, 3), function(error, bundle) {
+
+            assert.ifError(error);
+            assert.ok(!api.validateSignatures(bundle, multisig.address));
+
+            api.addSignature(bundle, multisig.address, api.getKey(seedB, 0, 2), function(error, signed) {
+
+                assert.ifError(error);
+                assert.ok(api.validateSignatures(signed, multisig.address));
+
+                done();
+            })
+        })
+    })
+})
+
+test("signing in the wrong order gives an invalid signature", function(t, done) {
+
+    var multisig = setup([]);
+    var api = multisig.iota.multisig;
+    var input = { 'address': multisig.address, 'securitySum': 5, 'balance': 10 };
+    var transfers = [{ 'address': output, 'value': 10, 'message': '', 'tag': '' }];
+
+    api.initiateTransfer(input, null, transfers).then(function(bundle) {
+        return api.addSignature(bundle, multisig.address, api.getKey(seedB, 0, 2));
+    }).then(function(bundle) {
+        return api.addSignature(bundle, multisig.address, api.getKey(seedA, 0, 3));
+    }).then(function(signed) {
+
+        assert.ok(!api.validateSignatures(signed, multisig.address));
+
+        done();
+    }).catch(done);
+})
+
+test("initiateTransfer checks the balance and the remainder address", function(t, done) {
+
+    var multisig = setup([]);
+    var api = multisig.iota.multisig;
+    var transfers = [{ 'address': output, 'value': 10, 'message': '', 'tag': '' }];
+
+    api.initiateTransfer({ 'address': multisig.address, 'securitySum': 5, 'balance': 5 }, remainder, transfers, function(error) {
+
+        assert.strictEqual(error.code, 'NOT_ENOUGH_BALANCE');
+
+        api.initiateTransfer({ 'address': multisig.address, 'securitySum': 5, 'balance': 15 }, null, transfers, function(error) {
+
+            assert.strictEqual(error.code, 'NO_REMAINDER_ADDRESS');
+
+            done();
+        })
+    })
+})
@@ -0,0 +1,113 @@
+var test = require("node:test");
+var assert = require("assert");
+var nodePool = require("../lib/utils/nodePool");
+var IOTA = require("../lib/iota");
+
+var synced = { 'latestMilestoneIndex': 10, 'latestSolidSubtangleMilestoneIndex': 10 };
+var unsynced = { 'latestMilestoneIndex': 10, 'latestSolidSubtangleMilestoneIndex': 8 };
+
+// Answers like the node of the provider: a node info, or a connection error if null
+var nodesTransport = function(nodes, sent) {
+
+    return {
+        'send': function(provider, payload, callback) {
+
+            var command = JSON.parse(payload).command;
+            var node = nodes[provider];
+
+            if (sent) sent.push(provider + " " + command);
+
+            if (!node || (node.down && command !== 'getNodeInfo')) {
+                return callback(new Error("ECONNREFUSED"));
+            }
+
+            callback(null, JSON.stringify(command === 'getNodeInfo' ? node.info : { 'tips': [] }), 200);
+        }
+    };
+}
+
+test("requests go to the first node which is reachable and synced", function(t, done) {
+
+    var transport = nodesTransport({
+        'http://b:14265': { 'info': unsynced },
+        'http://c:14265': { 'info': synced }
+    });
+
+    var pool = new nodePool(['http://a:14265', { 'host': 'http://b' }, 'http://c:14265'], transport);
+
+    pool.send({ 'command': 'getTips' }, function(error, result, provider) {
+
+        assert.ifError(error);
+        assert.deepStrictEqual(result, { 'tips': [] });
+        assert.strictEqual(provider, 'http://c:14265');
+        assert.strictEqual(pool.lastProvider, 'http://c:14265');
+        assert.strictEqual(pool.provider, 'http://c:14265');
+
+        done();
+    })
+})
+
+test("a node which drops the connection fails over to the next one", function(t, done) {
+
+    var sent = [];
+    var transport = nodesTransport({
+        'http://a:14265': { 'info': synced, 'down': true },
+        'http://b:14265': { 'info': synced }
+    }, sent);
+
+    var pool = new nodePool(['http://a:14265', 'http://b:14265'], transport);
+
+    pool.send({ 'command': 'getTips' }, function(error, result, provider) {
+
+        assert.ifError(error);
+        assert.strictEqual(provider, 'http://b:14265');
+        assert.deepStrictEqual(sent, [
+            'http://a:14265 getNodeInfo',
+            'http://a:14265 getTips',
+            'http://b:14265 getNodeInfo',
+            'http://b:14265 getTips'
+        ]);
+
+        // The failed node is skipped until its health is checked again
+        sent.length = 0;
+        pool.send({ 'command': 'getTips' }, function(error, result, provider) {
+
+            assert.strictEqual(provider, 'http://b:14265');
+            assert.deepStrictEqual(sent, ['http://b:14265 getTips']);
+
+            done();
+        })
+    })
+})
+
+test("without a healthy node, the error lists the nodes", function(t, done) {
+
+    var pool = new nodePool(['http://a:14265', 'http://b:14265'], nodesTransport({
+        'http://b:14265': { 'info': unsynced }
+    }));
+
+    pool.send({ 'command': 'getTips' }, function(error) {
+
+        assert.strictEqual(error.code, 'NO_HEALTHY_NODE');
+        assert.deepStrictEqual(error.hosts, ['http://a:14265', 'http://b:14265']);
+
+        done();
+    })
+})
+
+test("IOTA uses a pool for a list of nodes", function(t, done) {
+
+    var iota = new IOTA({
+        'nodes': ['http://a:14265', 'http://b:14265'],
+        'transport': nodesTransport({ 'http://b:14265': { 'info': synced } })
+    });
+
+    iota.api.getNodeInfo(function(error, info) {
+
+        assert.ifError(error);
+        assert.deepStrictEqual(info, synced);
+        assert.strictEqual(iota._makeRequest.lastProvider, 'http://b:14265');
+
+        done();
+    })
+})
@@ -0,0 +1,164 @@
+var test = require("node:test");
+var assert = require("assert");
+var Pow = require("../lib/crypto/pow");
+var Converter = require("../lib/crypto/converter");
+var workerPool = require("../lib/workers/workerPool");
+var IOTA = require("../lib/iota");
+
+var MWM = 3;
+var trunk = "T".repeat(81);
+var branch = "B".repeat(81);
+
+// Three transactions, in the order of prepareTransfers
+var trytes = ["A", "C", "D"].map(function(tryte) {
+    return tryte.repeat(81) + "9".repeat(2673 - 81);
+})
+
+// Attached trytes come in reverse order: each transaction approves the one
+// attached before it and the trunk, the first one trunk and branch
+var assertAttached = function(attached) {
+
+    assert.strictEqual(attached.length, trytes.length);
+
+    attached.slice().reverse().forEach(function(transaction, i) {
+
+        var hash = Pow.transactionHash(transaction);
+
+        assert.strictEqual(transaction.slice(0, 2430), trytes[i].slice(0, 2430));
+        assert.ok(Converter.trits(hash).slice(243 - MWM).every(function(trit) {
+            return trit === 0;
+        }), "hash meets the minWeightMagnitude");
+
+        if (i === 0) {
+            assert.strictEqual(transaction.slice(2430, 2511), trunk);
+            assert.strictEqual(transaction.slice(2511, 2592), branch);
+        } else {
+            assert.strictEqual(transaction.slice(2430, 2511), Pow.transactionHash(attached[attached.length - i]));
+            assert.strictEqual(transaction.slice(2511, 2592), trunk);
+        }
+    })
+}
+
+test("attachToTangle chains the transactions and finds valid nonces", function() {
+
+    assertAttached(Pow.attachToTangle(trunk, branch, MWM, trytes));
+})
+
+test("attachToTangle finds the same kind of nonces with BctCurl", function() {
+
+    assertAttached(Pow.attachToTangle(trunk, branch, MWM, trytes, { 'bct': true }));
+})
+
+test("sendTrytes attaches locally with the localPow option", function(t, done) {
+
+    var commands = [];
+    var stored = null;
+
+    var iota = new IOTA({ 'transport': new IOTA.transports.function(function(command, callback) {
+
+        commands.push(command.command);
+
+        if (command.command === 'getTransactionsToApprove') {
+            return callback(null, { 'trunkTransaction': trunk, 'branchTransaction': branch });
+        }
+        if (command.command === 'storeTransactions') {
+            stored = command.trytes;
+        }
+
+        callback(null, {});
+    }) });
+
+    iota.api.sendTrytes(trytes, 3, MWM, { 'localPow': true }, function(error, transactions) {
+
+        assert.ifError(error);
+        assert.deepStrictEqual(commands, ['getTransactionsToApprove', 'broadcastTransactions', 'storeTransactions']);
+        assertAttached(stored);
+        assert.strictEqual(transactions.length, 3);
+
+        done();
+    })
+})
+
+test("localAttachToTangle finishes with the nonce search in workers", { 'timeout': 60000 }, function(t, done) {
+
+    var iota = new IOTA({ 'workers': 2, 'transport': new IOTA.transports.function(function(command, callback) {
+        callback(null, {});
+    }) });
+
+    iota.api.localAttachToTangle(trunk, branch, MWM, trytes, {}, function(error, result) {
+
+        iota.workerPool.terminate();
+
+        assert.ifError(error);
+        assertAttached(result.trytes);
+
+        done();
+    })
+})
+
+test("worker jobs report progress and can be cancelled", { 'timeout': 60000 }, function(t, done) {
+
+    var pool = new workerPool({ 'size': 2 });
+    var transaction = Converter.trits(trytes[0].slice(0, 2592));
+
+    // A weight which is not reached within the test
+    var job = pool.searchNonce(transaction, 40, {}, function(error, nonce) {
+
+        pool.terminate();
+
+        assert.strictEqual(error.code, 'CANCELLED');
+        assert.strictEqual(nonce, undefined);
+
+        done();
+    })
+
+    job.once('progress', function(progress) {
+
+        assert.ok(progress.attempts > 0);
+        assert.strictEqual(progress.expected, Math.pow(3, 40));
+
+        job.cancel();
+    })
+})
+
+test("getNewAddress spreads the addresses across the workers", { 'timeout': 60000 }, function(t, done) {
+
+    var seed = "S".repeat(81);
+    var withWorkers = new IOTA({ 'workers': 2 });
+    var progress = [];
+
+    withWorkers.api.getNewAddress(seed, { 'index': 2, 'total': 3, 'onProgress': function(data) {
+        progress.push(data.done);
+    } }, function(error, addresses) {
+
+        withWorkers.workerPool.terminate();
+
+        assert.ifError(error);
+        assert.deepStrictEqual(progress, [1, 2, 3]);
+
+        new IOTA().api.getNewAddress(seed, { 'index': 2, 'total': 3 }, function(error, expected) {
+
+            assert.deepStrictEqual(addresses, expected);
+
+            done();
+        })
+    })
+})
+
+test("getNewAddress with bct generates the same addresses", function(t, done) {
+
+    var iota = new IOTA();
+    var seed = "S".repeat(81);
+
+    iota.api.getNewAddress(seed, { 'index': 2, 'total': 3, 'bct': true }, function(error, addresses) {
+
+        assert.ifError(error);
+
+        iota.api.getNewAddress(seed, { 'index': 2, 'total': 3 }, function(error, expected) {
+
+            assert.deepStrictEqual(addresses, expected);
+
+            done();
+        })
+    })
+})
@@ -0,0 +1,63 @@
+var test = require("node:test");
+var assert = require("assert");
+var promisify = require("../lib/utils/promisify");
+var IOTA = require("../lib/iota");
+
+var seed = "S".repeat(81);
+
+var add = promisify(function(a, b, options, callback) {
+
+    if (typeof a !== 'number') throw new Error("not a number");
+
+    var options = options || {};
+
+    setImmediate(function() {
+
+        if (options.fail) return callback(new Error("failed"));
+
+        callback(null, a + b);
+    })
+
+    return "sent";
+})
+
+test("without a callback the method returns a Promise", async function() {
+
+    assert.strictEqual(await add(1, 2), 3);
+    assert.strictEqual(await add(1, 2, {}), 3);
+
+    await assert.rejects(add(1, 2, { 'fail': true }), /failed/);
+    await assert.rejects(add("1", 2), /not a number/);
+})
+
+test("callbacks still work, also with optional arguments left out", function(t, done) {
+
+    var returned = add(1, 2, function(error, sum) {
+
+        assert.ifError(error);
+        assert.strictEqual(sum, 3);
+
+        done();
+    })
+
+    assert.strictEqual(returned, "sent");
+})
+
+test("api methods return Promises", async function() {
+
+    var iota = new IOTA({ 'transport': new IOTA.transports.function(function(command, callback) {
+        callback(null, command.command === 'getBalances' ? { 'balances': ['0'] } : { 'appName': 'IRI' });
+    }) });
+
+    assert.strictEqual((await iota.api.getNodeInfo()).appName, 'IRI');
+    assert.deepStrictEqual((await iota.api.getBalances(["A".repeat(81)], 100)).balances, [BigInt(0)]);
+
+    var addresses = await iota.api.getNewAddress(seed, { 'total': 1 });
+
+    iota.api.getNewAddress(seed, { 'total': 1 }, function(error, fromCallback) {
+        assert.deepStrictEqual(fromCallback, addresses);
+    })
+
+    // Input errors reject instead of throwing
+    await assert.rejects(iota.api.getBalances(["invalid"], 100));
+})
@@ -0,0 +1,90 @@
+var test = require("node:test");
+var assert = require("assert");
+var Signing = require("../lib/crypto/signing");
+var Converter = require("../lib/crypto/converter");
+var Utils = require("../lib/utils/utils");
+var IOTA = require("../lib/iota");
+
+var seed = "S".repeat(81);
+
+var address = function(index, security) {
+
+    var key = Signing.key(Converter.trits(seed), index, security);
+
+    return Converter.trytes(Signing.address(Signing.digests(key)));
+}
+
+test("getNewAddress derives different addresses per security level", function(t, done) {
+
+    var iota = new IOTA();
+
+    iota.api.getNewAddress(seed, { 'index': 0, 'total': 3, 'security': 1 }, function(error, level1) {
+
+        assert.ifError(error);
+
+        iota.api.getNewAddress(seed, { 'index': 0, 'total': 3 }, function(error, level2) {
+
+            assert.ifError(error);
+            assert.strictEqual(level2[0], "WZNMWQUTTQWDORROQZZIKJPQAT9CNEEWUK9QCYIURNCPFZPTRY9SEVGSPEHBOYDHWOFJKCVNEMKQUUKUY");
+            assert.strictEqual(address(0, 1), level1[0]);
+            assert.notStrictEqual(level1[0], level2[0]);
+
+            done();
+        })
+    })
+})
+
+test("an invalid security level is rejected", function(t, done) {
+
+    new IOTA().api.getNewAddress(seed, { 'security': 4 }, function(error) {
+
+        assert.strictEqual(error.code, 'INVALID_SECURITY');
+        assert.strictEqual(error.security, 4);
+
+        done();
+    })
+})
+
+test("prepareTransfers signs inputs of security level 1 and 3", function(t, done) {
+
+    var iota = new IOTA({ 'transport': new IOTA.transports.function(function(command, callback) {
+
+        // No transactions, none of the addresses was spent from
+        if (command.command === 'findTransactions') {
+            return callback(null, { 'hashes': [] });
+        }
+
+        assert.strictEqual(command.command, 'getBalances');
+        callback(null, { 'balances': ['4', '6'] });
+    }) });
+
+    var inputs = [
+        { 'address': address(0, 1), 'keyIndex': 0, 'security': 1 },
+        { 'address': address(1, 3), 'keyIndex': 1, 'security': 3 }
+    ];
+    var transfers = [{ 'address': "R".repeat(81), 'value': 10, 'message': '', 'tag': '' }];
+
+    iota.api.prepareTransfers(seed, transfers, { 'inputs': inputs }, function(error, trytes) {
+
+        assert.ifError(error);
+
+        var bundle = trytes.map(Utils.transactionObject).reverse();
+
+        // One output, then one transaction per signature fragment of each input
+        assert.strictEqual(bundle.length, 1 + 1 + 3);
+
+        inputs.forEach(function(input) {
+
+            var fragments = bundle.filter(function(tx) {
+                return tx.address === input.address;
+            }).map(function(tx) {
+                return tx.signatureMessageFragment;
+            })
+
+            assert.strictEqual(fragments.length, input.security);
+            assert.ok(Signing.validateSignatures(input.address, fragments, bundle[0].bundle));
+        })
+
+        done();
+    })
+})
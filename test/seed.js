@@ -0,0 +1,68 @@
+var test = require("node:test");
+var assert = require("assert");
+var Seed = require("../lib/utils/seed");
+var keystore = require("../lib/keystore/keystore");
+var IOTA = require("../lib/iota");
+
+var randomSeed = "ABCDEFGHIJKLMNOPQRSTUVWXYZ9ABCDEFGHIJKLMNOPQRSTUVWXYZ9ABCDEFGHIJKLMNOPQRSTUVWXYZ9";
+
+test("generateSeed returns 81 random trytes", function() {
+
+    var seed = Seed.generateSeed();
+
+    assert.ok(/^[9A-Z]{81}$/.test(seed));
+    assert.notStrictEqual(seed, Seed.generateSeed());
+    assert.strictEqual(Seed.checkSeed(seed).valid, true);
+})
+
+test("checkSeed normalizes the seed and reports weak seeds", function() {
+
+    assert.deepStrictEqual(Seed.checkSeed(randomSeed), { 'valid': true, 'seed': randomSeed, 'warnings': [] });
+    assert.deepStrictEqual(Seed.checkSeed(" " + randomSeed.toLowerCase() + "\n"), { 'valid': true, 'seed': randomSeed, 'warnings': ['LOWERCASE'] });
+
+    var short = Seed.checkSeed("AAA");
+
+    assert.strictEqual(short.seed, "AAA" + "9".repeat(78));
+    assert.deepStrictEqual(short.warnings, ['SHORT', 'LOW_ENTROPY']);
+
+    assert.deepStrictEqual(Seed.checkSeed("A".repeat(82)), { 'valid': false, 'seed': null, 'warnings': [] });
+    assert.strictEqual(Seed.checkSeed("SEED-1").valid, false);
+    assert.strictEqual(Seed.checkSeed(42).valid, false);
+})
+
+test("normalizeSeed throws INVALID_SEED", function() {
+
+    assert.strictEqual(Seed.normalizeSeed("abc"), "ABC" + "9".repeat(78));
+    assert.throws(function() { Seed.normalizeSeed(""); }, { 'code': 'INVALID_SEED' });
+    assert.strictEqual(Seed.isValidSeed(randomSeed), true);
+    assert.strictEqual(Seed.isValidSeed("S S"), false);
+})
+
+test("the api normalizes seeds and rejects invalid ones", function(t, done) {
+
+    var iota = new IOTA();
+
+    iota.api.getNewAddress(randomSeed.toLowerCase(), { 'index': 0, 'total': 1 }, function(error, lowercase) {
+
+        assert.ifError(error);
+
+        iota.api.getNewAddress(randomSeed, { 'index': 0, 'total': 1 }, function(error, uppercase) {
+
+            assert.deepStrictEqual(lowercase, uppercase);
+
+            iota.api.getNewAddress("not a seed", { 'index': 0 }, function(error) {
+
+                assert.strictEqual(error.code, 'INVALID_SEED');
+
+                done();
+            })
+        })
+    })
+})
+
+test("the keystore stores the normalized seed", async function() {
+
+    var encrypted = await keystore.encrypt("abc", "password", { 'n': 1024 });
+
+    assert.strictEqual(await keystore.decrypt(encrypted, "password"), "ABC" + "9".repeat(78));
+})
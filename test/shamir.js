@@ -0,0 +1,66 @@
+var test = require("node:test");
+var assert = require("assert");
+var Shamir = require("../lib/crypto/shamir");
+var Seed = require("../lib/utils/seed");
+
+var seed = Seed.generateSeed();
+
+var expectCode = function(code, fn) {
+    assert.throws(fn, function(error) {
+        return error.code === code;
+    })
+}
+
+test("combine recovers the seed from any threshold of shares", function() {
+
+    var shares = Shamir.split(seed, 5, 3);
+
+    assert.strictEqual(shares.length, 5);
+    shares.forEach(function(share) {
+        assert.strictEqual(share.length, 95);
+    })
+
+    assert.strictEqual(Shamir.combine([shares[4], shares[1], shares[2]]), seed);
+    assert.strictEqual(Shamir.combine([shares[0], shares[3], shares[2], shares[1]]), seed);
+    assert.strictEqual(Shamir.combine(Shamir.split(seed, 2, 1).slice(1)), seed);
+})
+
+test("combine recovers seeds at the edges of the field", function() {
+
+    ["9".repeat(81), "M".repeat(81), "N".repeat(81), "Z".repeat(81)].forEach(function(edge) {
+
+        var shares = Shamir.split(edge, 3, 2);
+
+        assert.strictEqual(Shamir.combine([shares[2], shares[0]]), edge);
+    })
+})
+
+test("combine rejects too few, repeated, corrupt and mixed shares", function() {
+
+    var shares = Shamir.split(seed, 5, 3);
+    var other = Shamir.split(seed, 5, 2);
+    var corrupt = shares[0].slice(0, 10) + (shares[0][10] === "A" ? "B" : "A") + shares[0].slice(11);
+
+    expectCode("NOT_ENOUGH_SHARES", function() {
+        Shamir.combine([shares[0], shares[1]]);
+    })
+
+    expectCode("NOT_ENOUGH_SHARES", function() {
+        Shamir.combine([shares[0], shares[0], shares[1]]);
+    })
+
+    expectCode("INVALID_SHARE_CHECKSUM", function() {
+        Shamir.combine([corrupt, shares[1], shares[2]]);
+    })
+
+    expectCode("INVALID_SHARE", function() {
+        Shamir.combine([other[0], shares[1], shares[2]]);
+    })
+})
+
+test("split rejects a threshold above the number of shares", function() {
+
+    expectCode("NOT_INT", function() {
+        Shamir.split(seed, 2, 3);
+    })
+})
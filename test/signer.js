@@ -0,0 +1,136 @@
+var test = require("node:test");
+var assert = require("assert");
+var Signer = require("../lib/signers/signer");
+var Signing = require("../lib/crypto/signing");
+var Utils = require("../lib/utils/utils");
+var IOTA = require("../lib/iota");
+
+var seed = "S".repeat(81);
+var output = "R".repeat(81);
+var transfers = [{ 'address': output, 'value': 10, 'message': '', 'tag': '' }];
+
+var balanceTransport = function(balances) {
+
+    return new IOTA.transports.function(function(command, callback) {
+
+        // No transactions, none of the addresses was spent from
+        if (command.command === 'findTransactions') {
+            return callback(null, { 'hashes': [] });
+        }
+
+        assert.strictEqual(command.command, 'getBalances');
+        callback(null, { 'balances': balances });
+    })
+}
+
+test("toSigner wraps seeds and keeps signers", function() {
+
+    var stub = new Signer.StubSigner();
+
+    assert.ok(Signer.toSigner(seed) instanceof Signer.SeedSigner);
+    assert.strictEqual(Signer.toSigner(stub), stub);
+    assert.strictEqual(Signer.toSigner("not a seed"), null);
+    assert.strictEqual(Signer.toSigner({ 'getAddress': function() {} }), null);
+})
+
+test("a SeedSigner generates the same addresses as the seed", function(t, done) {
+
+    var iota = new IOTA();
+
+    iota.api.getNewAddress(new IOTA.signers.seed(seed), { 'index': 0, 'total': 2 }, function(error, addresses) {
+
+        assert.ifError(error);
+
+        iota.api.getNewAddress(seed, { 'index': 0, 'total': 2 }, function(error, expected) {
+
+            assert.deepStrictEqual(addresses, expected);
+
+            done();
+        })
+    })
+})
+
+test("the api rejects what is neither a seed nor a signer", function(t, done) {
+
+    new IOTA().api.getNewAddress({}, {}, function(error) {
+
+        assert.strictEqual(error.code, 'INVALID_SIGNER');
+
+        done();
+    })
+})
+
+test("prepareTransfers asks the signer for its address and signature fragments", function(t, done) {
+
+    var seedSigner = new Signer.SeedSigner(seed);
+
+    seedSigner.getAddress(3, 2, function(error, address) {
+
+        assert.ifError(error);
+
+        var stub = new Signer.StubSigner({
+            'addresses': { 3: address },
+            'signFragments': function(index, normalizedBundleFragments) {
+                return normalizedBundleFragments.map(function(fragment, i) {
+                    return String.fromCharCode(65 + i).repeat(2187);
+                })
+            }
+        });
+
+        var iota = new IOTA({ 'transport': balanceTransport(['10']) });
+        var inputs = [{ 'address': address, 'keyIndex': 3 }];
+
+        iota.api.prepareTransfers(stub, transfers, { 'inputs': inputs }, function(error, trytes) {
+
+            assert.ifError(error);
+            assert.deepStrictEqual(stub.calls.map(function(call) {
+                return [call.method, call.index];
+            }), [['getAddress', 3], ['signFragments', 3]]);
+            assert.strictEqual(stub.calls[1].normalizedBundleFragments.length, 2);
+
+            var bundle = trytes.map(Utils.transactionObject).reverse();
+
+            assert.strictEqual(bundle[1].signatureMessageFragment, "A".repeat(2187));
+            assert.strictEqual(bundle[2].signatureMessageFragment, "B".repeat(2187));
+
+            done();
+        })
+    })
+})
+
+test("the signature fragments of a SeedSigner are valid", function(t, done) {
+
+    var signer = new IOTA.signers.seed(seed);
+
+    signer.getAddress(0, 2, function(error, address) {
+
+        var iota = new IOTA({ 'transport': balanceTransport(['10']) });
+
+        iota.api.prepareTransfers(signer, transfers, { 'inputs': [{ 'address': address, 'keyIndex': 0 }] }, function(error, trytes) {
+
+            assert.ifError(error);
+
+            var bundle = trytes.map(Utils.transactionObject).reverse();
+            var fragments = [bundle[1].signatureMessageFragment, bundle[2].signatureMessageFragment];
+
+            assert.ok(Signing.validateSignatures(address, fragments, bundle[0].bundle));
+
+            done();
+        })
+    })
+})
+
+test("errors of the signer reach the callback", function(t, done) {
+
+    var iota = new IOTA({ 'transport': balanceTransport(['10']) });
+    var inputs = [{ 'address': output, 'keyIndex': 7 }];
+
+    iota.api.prepareTransfers(new Signer.StubSigner(), transfers, { 'inputs': inputs, 'address': output }, function(error) {
+
+        assert.strictEqual(error.name, 'SignerError');
+        assert.strictEqual(error.code, 'UNKNOWN_KEY');
+        assert.strictEqual(error.index, 7);
+
+        done();
+    })
+})
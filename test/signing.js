@@ -0,0 +1,34 @@
+var test = require("node:test");
+var assert = require("assert");
+var Signing = require("../lib/crypto/signing");
+var Converter = require("../lib/crypto/converter");
+
+var address = function(seed, index) {
+
+    var key = Signing.key(Converter.trits(seed), index, 2);
+
+    return Converter.trytes(Signing.address(Signing.digests(key)));
+}
+
+// Addresses generated by the array based implementation
+test("key derives the same addresses as before", function() {
+
+    assert.strictEqual(address("S".repeat(81), 0),
+        "WZNMWQUTTQWDORROQZZIKJPQAT9CNEEWUK9QCYIURNCPFZPTRY9SEVGSPEHBOYDHWOFJKCVNEMKQUUKUY");
+    assert.strictEqual(address("S".repeat(81), 2),
+        "UXAWUH99BQUAOHSWYEODYORFFWYSOYXDNRXWAQHMFLAKVDLWGRPEIGRSKJRKWLQ9VCYVXVVDMWZM99BYL");
+    assert.strictEqual(address("M".repeat(81), 1),
+        "FS9KT9CLDAADRVMCEIPVTVUSCBORRKUOBEDKUZJUQUFLRRJUWIMFCTBDOTX9PPGRQNXRGERJSY9FBTAWM");
+})
+
+test("key keeps short seeds padded and long seeds in full", function() {
+
+    assert.strictEqual(address("ABC", 0),
+        "LPMJCQCEPJZQKUKXCCIVNBUEQJPSBEWHLDKXXQQM9CCTVNUVKWHMVDDI9F9TUHD9VJOBMKH9MENIDLAWR");
+    assert.strictEqual(address("ABC", 5),
+        "LOXNFWLFDHMPKOJALHJXNTSKFZNDKJQEGHRCULVD9NSKWPCTJHXWNWASWFJPQAAHIQCAFCOONKSKIINRR");
+    assert.strictEqual(address("L".repeat(90), 0),
+        "TFPWYEVSOFTOTUXJMYICJQCGIXLDGYVSDXYMKCLRKFZXUFEWGJNV9OAXERJNDVVLOJXRNBSGSBYHCBHZO");
+    assert.strictEqual(address("L".repeat(90), 3),
+        "TVNMLCOXMJQKRGUXXUVDWYIHGJETRJPSRSOHYZUNBNFZWWQXYHQIIFBOQ9RAZWYZTPMIIFVNOWFHJZWD9");
+})
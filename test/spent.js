@@ -0,0 +1,154 @@
+var test = require("node:test");
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var Signing = require("../lib/crypto/signing");
+var Converter = require("../lib/crypto/converter");
+var Utils = require("../lib/utils/utils");
+var IOTA = require("../lib/iota");
+
+var seed = "S".repeat(81);
+var output = "R".repeat(81);
+var transfers = [{ 'address': output, 'value': 10, 'message': '', 'tag': '' }];
+
+var address = function(index) {
+
+    var key = Signing.key(Converter.trits(seed), index, 2);
+
+    return Converter.trytes(Signing.address(Signing.digests(key)));
+}
+
+var inputs = [{ 'address': address(0), 'keyIndex': 0 }];
+
+// Node without transactions, unless the trytes of a bundle are given
+var nodeTransport = function(bundleTrytes) {
+
+    return new IOTA.transports.function(function(command, callback) {
+
+        if (command.command === 'findTransactions') {
+            return callback(null, { 'hashes': bundleTrytes ? bundleTrytes.map(function(trytes, i) {
+                return String.fromCharCode(65 + i).repeat(81);
+            }) : [] });
+        }
+        if (command.command === 'getTrytes') {
+            return callback(null, { 'trytes': bundleTrytes });
+        }
+
+        callback(null, { 'balances': ['10'] });
+    })
+}
+
+test("reserve adds addresses only once", function(t, done) {
+
+    var store = new IOTA.spentAddressStores.memory([output]);
+
+    store.reserve([address(0)], function(error) {
+
+        assert.ifError(error);
+
+        store.reserve([address(1), Utils.getChecksum(address(0))], function(error) {
+
+            assert.strictEqual(error.code, 'SPENT_ADDRESS');
+
+            store.isSpent([address(0), address(1), output], function(error, states) {
+
+                assert.deepStrictEqual(states, [true, false, true]);
+
+                done();
+            })
+        })
+    })
+})
+
+test("the file store reserves atomically and survives restarts", function(t, done) {
+
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), "spent-"));
+    var file = path.join(directory, "spent.json");
+    var store = new IOTA.spentAddressStores.file(file);
+    var results = [];
+
+    var finish = function(error) {
+
+        results.push(error ? error.code : 'OK');
+
+        if (results.length < 2) return;
+
+        assert.deepStrictEqual(results.sort(), ['OK', 'SPENT_ADDRESS']);
+
+        new IOTA.spentAddressStores.file(file).isSpent([address(0), address(1)], function(error, states) {
+
+            assert.deepStrictEqual(states, [true, false]);
+
+            fs.writeFileSync(file, "[");
+
+            store.isSpent([address(0)], function(error) {
+
+                fs.rmSync(directory, { 'recursive': true });
+
+                assert.strictEqual(error.code, 'SPENT_STORE_ERROR');
+
+                done();
+            })
+        })
+    }
+
+    // Concurrent calls, only one of them may get the address
+    store.reserve([address(0)], finish);
+    store.reserve([address(0)], finish);
+})
+
+test("a key of the store never signs twice", function(t, done) {
+
+    var store = new IOTA.spentAddressStores.memory();
+    var iota = new IOTA({ 'transport': nodeTransport(), 'spentAddressStore': store });
+
+    iota.api.prepareTransfers(seed, transfers, { 'inputs': inputs }, function(error) {
+
+        assert.ifError(error);
+
+        iota.api.prepareTransfers(seed, transfers, { 'inputs': inputs }, function(error) {
+
+            assert.strictEqual(error.code, 'SPENT_ADDRESS');
+            assert.strictEqual(error.address, address(0));
+
+            iota.api.prepareTransfers(seed, transfers, { 'inputs': inputs, 'allowSpentInputs': true }, function(error) {
+
+                assert.ifError(error);
+
+                done();
+            })
+        })
+    })
+})
+
+test("spent inputs and outputs of the Tangle are detected", function(t, done) {
+
+    new IOTA({ 'transport': nodeTransport() }).api.prepareTransfers(seed, transfers, { 'inputs': inputs }, function(error, bundleTrytes) {
+
+        assert.ifError(error);
+
+        var iota = new IOTA({ 'transport': nodeTransport(bundleTrytes) });
+
+        iota.api.prepareTransfers(seed, transfers, { 'inputs': inputs }, function(error) {
+
+            assert.strictEqual(error.code, 'SPENT_ADDRESS');
+
+            // The former input receives the value now
+            var warnings = [];
+            var toSpent = [{ 'address': address(0), 'value': 10, 'message': '', 'tag': '' }];
+            var options = { 'inputs': [{ 'address': address(1), 'keyIndex': 1 }], 'onWarning': function(warning) {
+                warnings.push(warning);
+            } };
+
+            iota.api.prepareUnsignedTransfers(toSpent, options, null, function(error, unsignedBundle) {
+
+                assert.ifError(error);
+                assert.deepStrictEqual(warnings, [{ 'code': 'SPENT_OUTPUT_ADDRESS', 'address': address(0) }]);
+                assert.deepStrictEqual(unsignedBundle.warnings, warnings);
+
+                done();
+            })
+        })
+    })
+})
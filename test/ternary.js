@@ -0,0 +1,126 @@
+var test = require("node:test");
+var assert = require("assert");
+var Ternary = require("../lib/crypto/ternary");
+var Converter = require("../lib/crypto/converter");
+var Curl = require("../lib/crypto/curl");
+var Signing = require("../lib/crypto/signing");
+
+// Largest value of n balanced trits
+var max = function(length) {
+    return (BigInt(3) ** BigInt(length) - BigInt(1)) / BigInt(2);
+}
+
+test("fromBigInt and toBigInt round trip", function() {
+
+    [0, 1, -1, 2, -2, 13, -13, 14, 1000000, -1000000].forEach(function(value) {
+        assert.strictEqual(Ternary.toBigInt(Ternary.fromBigInt(BigInt(value))), BigInt(value));
+    });
+
+    // Beyond 2^53, the range of the value field
+    [max(33), -max(33), BigInt(2) ** BigInt(60) + BigInt(1), max(81)].forEach(function(value) {
+        assert.strictEqual(Ternary.toBigInt(Ternary.fromBigInt(value, 81)), value);
+    })
+
+    assert.deepStrictEqual(Array.from(Ternary.fromBigInt(BigInt(0))), []);
+    assert.deepStrictEqual(Array.from(Ternary.fromBigInt(BigInt(2))), [-1, 1]);
+    assert.deepStrictEqual(Array.from(Ternary.fromBigInt(BigInt(-5), 4)), [1, 1, -1, 0]);
+})
+
+test("fromBigInt throws VALUE_OVERFLOW if the value does not fit", function() {
+
+    assert.strictEqual(Ternary.fromBigInt(max(3), 3).length, 3);
+
+    [max(3) + BigInt(1), -max(3) - BigInt(1)].forEach(function(value) {
+        assert.throws(function() {
+            Ternary.fromBigInt(value, 3);
+        }, function(error) {
+            return error.code === "VALUE_OVERFLOW" && error.length === 3;
+        })
+    })
+})
+
+test("add and subtract carry across trits", function() {
+
+    var values = [0, 1, -1, 4, -4, 13, -13, 40, 121, -364, 9841];
+
+    values.forEach(function(a) {
+        values.forEach(function(b) {
+
+            var x = Ternary.fromBigInt(BigInt(a));
+            var y = Ternary.fromBigInt(BigInt(b));
+
+            assert.strictEqual(Ternary.toBigInt(Ternary.add(x, y)), BigInt(a + b));
+            assert.strictEqual(Ternary.toBigInt(Ternary.subtract(x, y)), BigInt(a - b));
+            assert.strictEqual(Ternary.compare(x, y), a < b ? -1 : a > b ? 1 : 0);
+        })
+    })
+
+    // 1 + 1 + 1 carries into a new trit
+    assert.deepStrictEqual(Array.from(Ternary.add([1, 1], [1])), [-1, -1, 1]);
+    assert.deepStrictEqual(Array.from(Ternary.subtract([-1, -1], [1])), [1, 1, -1]);
+})
+
+test("increment wraps around at the largest value", function() {
+
+    var trits = [0, 1, 1];
+
+    assert.strictEqual(Ternary.increment(trits), false);
+    assert.deepStrictEqual(trits, [1, 1, 1]);
+
+    assert.strictEqual(Ternary.increment(trits), true);
+    assert.deepStrictEqual(trits, [-1, -1, -1]);
+})
+
+test("Signing.key derives the same keys as stepping the subseed one by one", function() {
+
+    // The former derivation, which added the index in a loop of increments
+    var oldKey = function(seed, index, length) {
+
+        var subseed = new Int8Array(Math.max(243, seed.length));
+        subseed.set(seed);
+
+        for (var i = 0; i < index; i++) {
+
+            for (var j = 0; j < 243; j++) {
+
+                if (++subseed[j] > 1) {
+
+                    subseed[j] = -1;
+                } else {
+
+                    break;
+                }
+            }
+        }
+
+        var state = Curl.initialize();
+        Curl.absorb(subseed, state);
+        Curl.squeeze(subseed, state);
+        Curl.initialize(state);
+        Curl.absorb(subseed, state);
+
+        var key = new Int8Array(length * 27 * 243), buffer = new Int8Array(243);
+
+        for (var offset = 0; offset < key.length; offset += 243) {
+
+            Curl.squeeze(buffer, state);
+            key.set(buffer, offset);
+        }
+
+        return key;
+    };
+
+    // M is 1, 1, 1: every step carries, and all Ms overflow to all Ns.
+    // Short seeds are padded, the trits after the first 243 of long seeds
+    // are not changed by the index
+    var seeds = ["A".repeat(81), "M".repeat(81), "Z".repeat(81), "9".repeat(81), "MMMA" + "9".repeat(77), "MMM", "M".repeat(81) + "ABC"];
+
+    seeds.forEach(function(seed) {
+        [0, 1, 2, 7, 40].forEach(function(index) {
+
+            var seedTrits = Converter.trits(seed);
+
+            assert.deepStrictEqual(Signing.key(seedTrits, index, 1), oldKey(seedTrits, index, 1), seed + " " + index);
+        })
+    })
+})
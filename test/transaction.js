@@ -0,0 +1,92 @@
+var test = require("node:test");
+var assert = require("assert");
+var Transaction = require("../lib/crypto/transaction");
+var Converter = require("../lib/crypto/converter");
+var Pow = require("../lib/crypto/pow");
+var Utils = require("../lib/utils/utils");
+
+var fields = {
+    'signatureMessageFragment': "M".repeat(2187),
+    'address': "A".repeat(81),
+    'value': BigInt(-1234567),
+    'tag': "TAG" + "9".repeat(24),
+    'timestamp': 1500000000,
+    'currentIndex': 2,
+    'lastIndex': 3,
+    'bundle': "B".repeat(81),
+    'trunkTransaction': "T".repeat(81),
+    'branchTransaction': "U".repeat(81),
+    'nonce': "N".repeat(81)
+};
+
+test("fields are serialized at the offsets of the layout", function() {
+
+    var trytes = new Transaction(fields).toTrytes();
+
+    assert.strictEqual(trytes.length, Transaction.LENGTH);
+    assert.strictEqual(trytes.slice(2187, 2268), fields.address);
+    assert.strictEqual(BigInt(Converter.value(Converter.trits(trytes.slice(2268, 2295)))), fields.value);
+    assert.strictEqual(Converter.value(Converter.trits(trytes.slice(2322, 2331))), fields.timestamp);
+    assert.strictEqual(trytes.slice(2592), fields.nonce);
+})
+
+test("fromTrytes parses what toTrytes wrote", function() {
+
+    var trytes = new Transaction(fields).toTrytes();
+    var transaction = Transaction.fromTrytes(trytes);
+
+    assert.ok(transaction instanceof Transaction);
+    Object.keys(fields).forEach(function(field) {
+        assert.strictEqual(transaction[field], fields[field]);
+    })
+
+    assert.strictEqual(transaction.toTrytes(), trytes);
+    assert.strictEqual(transaction.hash(), Pow.transactionHash(trytes));
+    assert.strictEqual(transaction.essence(), trytes.slice(2187, 2349));
+    assert.strictEqual(transaction.isTail(), false);
+})
+
+test("missing fields are empty", function() {
+
+    var transaction = new Transaction({ 'address': fields.address });
+
+    assert.strictEqual(transaction.value, BigInt(0));
+    assert.strictEqual(transaction.tag, "9".repeat(27));
+    assert.strictEqual(transaction.isTail(), true);
+    assert.strictEqual(transaction.toTrytes(), "9".repeat(2187) + fields.address + "9".repeat(2673 - 2268));
+})
+
+test("toJSON and the utils give plain objects with the hash", function() {
+
+    var trytes = new Transaction(fields).toTrytes();
+    var object = Utils.transactionObject(trytes);
+
+    assert.strictEqual(object.value, fields.value);
+    assert.deepStrictEqual(JSON.parse(Utils.stringify(object)), JSON.parse(JSON.stringify(Transaction.fromTrytes(trytes))));
+    assert.strictEqual(object.hash, Pow.transactionHash(trytes));
+    assert.strictEqual(Utils.transactionTrytes(object), trytes);
+})
+
+test("invalid trytes and fields are rejected", function() {
+
+    var trytes = new Transaction(fields).toTrytes();
+
+    assert.throws(function() { Transaction.fromTrytes(trytes.slice(1)); }, { 'code': 'INVALID_TRYTES' });
+    assert.strictEqual(Utils.transactionObject("9".repeat(10)), null);
+
+    // A trit of the value beyond its 33 trits
+    var overflow = trytes.slice(0, 2280) + "A" + trytes.slice(2281);
+    assert.throws(function() { Transaction.fromTrytes(overflow); }, { 'code': 'INVALID_TRANSACTION', 'field': 'value' });
+
+    assert.throws(function() {
+        new Transaction({ 'timestamp': -1 }).toTrytes();
+    }, { 'code': 'INVALID_TRANSACTION', 'field': 'timestamp' });
+
+    assert.throws(function() {
+        new Transaction({ 'value': Math.pow(3, 33) }).toTrytes();
+    }, { 'code': 'INVALID_TRANSACTION', 'field': 'value' });
+
+    assert.throws(function() {
+        new Transaction({ 'address': "a".repeat(81) }).validate();
+    }, { 'code': 'INVALID_TRANSACTION', 'field': 'address' });
+})
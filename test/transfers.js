@@ -0,0 +1,121 @@
+var test = require("node:test");
+var assert = require("assert");
+var Signing = require("../lib/crypto/signing");
+var Converter = require("../lib/crypto/converter");
+var Utils = require("../lib/utils/utils");
+var IOTA = require("../lib/iota");
+
+var seed = "S".repeat(81);
+
+var address = function(index, security) {
+
+    var key = Signing.key(Converter.trits(seed), index, security);
+
+    return Converter.trytes(Signing.address(Signing.digests(key)));
+}
+var output = "R".repeat(81);
+var remainder = "Q".repeat(81);
+var transfers = [{ 'address': output, 'value': 10, 'message': '', 'tag': '' }];
+
+var online = function(balances) {
+
+    return new IOTA({ 'transport': new IOTA.transports.function(function(command, callback) {
+
+        // No transactions, none of the addresses was spent from
+        if (command.command === 'findTransactions') {
+            return callback(null, { 'hashes': [] });
+        }
+
+        assert.strictEqual(command.command, 'getBalances');
+        callback(null, { 'balances': balances });
+    }) });
+}
+
+// Fails the test if the offline signing goes to the node
+var offline = new IOTA({ 'transport': new IOTA.transports.function(function(command) {
+    assert.fail("unexpected command " + command.command);
+}) });
+
+var inputs = [
+    { 'address': address(0, 2), 'keyIndex': 0 },
+    { 'address': address(1, 1), 'keyIndex': 1, 'security': 1 }
+];
+
+test("an unsigned bundle is signed offline after a JSON round trip", function(t, done) {
+
+    online(['8', '7']).api.prepareUnsignedTransfers(transfers, { 'inputs': inputs, 'address': remainder }, null, function(error, unsignedBundle) {
+
+        assert.ifError(error);
+        assert.strictEqual(unsignedBundle.remainder, BigInt(5));
+        assert.strictEqual(unsignedBundle.remainderAddress, remainder);
+        assert.deepStrictEqual(unsignedBundle.inputs.map(function(input) {
+            return [input.keyIndex, input.security, input.balance];
+        }), [[0, 2, BigInt(8)], [1, 1, BigInt(7)]]);
+
+        offline.api.signTransfers(seed, JSON.parse(Utils.stringify(unsignedBundle)), function(error, trytes) {
+
+            assert.ifError(error);
+
+            var bundle = trytes.map(Utils.transactionObject).reverse();
+
+            assert.strictEqual(bundle.length, 1 + 2 + 1 + 1);
+            assert.strictEqual(bundle[0].bundle, unsignedBundle.bundleHash);
+            assert.strictEqual(bundle[4].address, remainder);
+
+            inputs.forEach(function(input) {
+
+                var fragments = bundle.filter(function(tx) {
+                    return tx.address === input.address;
+                }).map(function(tx) {
+                    return tx.signatureMessageFragment;
+                })
+
+                assert.ok(Signing.validateSignatures(input.address, fragments, unsignedBundle.bundleHash));
+            })
+
+            done();
+        })
+    })
+})
+
+test("signTransfers refuses a modified bundle", function(t, done) {
+
+    online(['10', '0']).api.prepareUnsignedTransfers(transfers, { 'inputs': inputs }, null, function(error, unsignedBundle) {
+
+        assert.ifError(error);
+
+        unsignedBundle.transactions[0].address = "X".repeat(81);
+
+        offline.api.signTransfers(seed, unsignedBundle, function(error) {
+
+            assert.strictEqual(error.code, 'INVALID_BUNDLE_HASH');
+
+            done();
+        })
+    })
+})
+
+test("signTransfers refuses inputs of another seed", function(t, done) {
+
+    online(['10', '0']).api.prepareUnsignedTransfers(transfers, { 'inputs': inputs }, null, function(error, unsignedBundle) {
+
+        assert.ifError(error);
+
+        offline.api.signTransfers("T".repeat(81), unsignedBundle, function(error) {
+
+            assert.strictEqual(error.code, 'ADDRESS_MISMATCH');
+
+            done();
+        })
+    })
+})
+
+test("without a seed a remainder needs a remainder address", function(t, done) {
+
+    online(['8', '7']).api.prepareUnsignedTransfers(transfers, { 'inputs': inputs }, null, function(error) {
+
+        assert.strictEqual(error.code, 'NO_REMAINDER_ADDRESS');
+
+        done();
+    })
+})
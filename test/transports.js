@@ -0,0 +1,99 @@
+var test = require("node:test");
+var assert = require("assert");
+var http = require("http");
+var IOTA = require("../lib/iota");
+
+test("the function transport hands every command to the handler", function(t, done) {
+
+    var commands = [];
+    var iota = new IOTA({ 'transport': new IOTA.transports.function(function(command, callback) {
+
+        commands.push(command);
+        callback(null, { 'appName': 'IRI', 'latestMilestoneIndex': 7 });
+    }) });
+
+    iota.api.getNodeInfo(function(error, info) {
+
+        assert.ifError(error);
+        assert.strictEqual(info.latestMilestoneIndex, 7);
+        assert.deepStrictEqual(commands, [{ 'command': 'getNodeInfo' }]);
+
+        done();
+    })
+})
+
+test("errors of the node are passed to the callback", function(t, done) {
+
+    var iota = new IOTA({ 'transport': new IOTA.transports.function(function(command, callback) {
+        callback(null, { 'error': 'Invalid parameters' });
+    }) });
+
+    iota.api.getNodeInfo(function(error, info) {
+
+        assert.ok(error instanceof Error);
+        assert.ok(/Invalid parameters/.test(error.message));
+        assert.strictEqual(info, null);
+
+        done();
+    })
+})
+
+test("changeNode keeps the transport unless another one is given", function(t, done) {
+
+    var providers = [];
+    var transport = {
+        'send': function(provider, payload, callback) {
+
+            providers.push(provider);
+            callback(null, JSON.stringify({ 'duration': 0 }), 200);
+        }
+    };
+
+    var iota = new IOTA({ 'transport': transport });
+
+    iota.changeNode({ 'host': 'http://node', 'port': 443 });
+
+    iota.api.getNodeInfo(function(error) {
+
+        assert.ifError(error);
+        assert.deepStrictEqual(providers, ['http://node:443']);
+
+        done();
+    })
+})
+
+test("the http transport posts the command as JSON", function(t, done) {
+
+    var server = http.createServer(function(request, response) {
+
+        var body = '';
+
+        request.on('data', function(chunk) {
+            body += chunk;
+        })
+        request.on('end', function() {
+
+            assert.strictEqual(request.method, 'POST');
+            assert.strictEqual(request.headers['content-type'], 'application/json');
+
+            response.end(JSON.stringify({ 'received': JSON.parse(body) }));
+        })
+    })
+
+    server.listen(0, '127.0.0.1', function() {
+
+        var transport = new IOTA.transports.http();
+        var iota = new IOTA({ 'host': 'http://127.0.0.1', 'port': server.address().port, 'transport': transport });
+
+        iota.api.getNodeInfo(function(error, result) {
+
+            transport.httpAgent.destroy();
+            server.close();
+
+            assert.ifError(error);
+            assert.deepStrictEqual(result.received, { 'command': 'getNodeInfo' });
+
+            done();
+        })
+    })
+})
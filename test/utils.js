@@ -0,0 +1,46 @@
+var test = require("node:test");
+var assert = require("assert");
+var Utils = require("../lib/utils/utils");
+var IOTA = require("../lib/iota");
+
+test("convertUnits returns exact decimal strings", function() {
+
+    assert.strictEqual(Utils.convertUnits(1500, 'i', 'Ki'), "1.5");
+    assert.strictEqual(Utils.convertUnits("1.5", 'Ki', 'i'), "1500");
+    assert.strictEqual(Utils.convertUnits(BigInt(2), 'Mi', 'Ki'), "2000");
+    assert.strictEqual(Utils.convertUnits(0, 'Mi', 'i'), "0");
+    assert.strictEqual(Utils.convertUnits(5, 'i', 'Pi'), "0.000000000000005");
+
+    // Above 2^53 no digit is lost
+    assert.strictEqual(Utils.convertUnits("9007199254740993", 'i', 'Pi'), "9.007199254740993");
+    assert.strictEqual(Utils.convertUnits(BigInt("9007199254740993"), 'Pi', 'i'), "9007199254740993000000000000000");
+})
+
+test("convertUnits returns null for fractions of an iota and invalid input", function() {
+
+    assert.strictEqual(Utils.convertUnits("1.5", 'i', 'i'), null);
+    assert.strictEqual(Utils.convertUnits("1.0005", 'Ki', 'i'), null);
+    assert.strictEqual(Utils.convertUnits(-5, 'i', 'Ki'), null);
+    assert.strictEqual(Utils.convertUnits("abc", 'i', 'Ki'), null);
+    assert.strictEqual(Utils.convertUnits(5, 'i', 'Xi'), null);
+})
+
+test("stringify writes BigInts as decimal strings", function() {
+
+    var value = { 'balance': BigInt("9007199254740993"), 'inputs': [{ 'keyIndex': 0, 'balance': BigInt(7) }] };
+
+    assert.throws(function() { JSON.stringify(value); }, TypeError);
+    assert.strictEqual(Utils.stringify(value), '{"balance":"9007199254740993","inputs":[{"keyIndex":0,"balance":"7"}]}');
+    assert.strictEqual(Utils.stringify({ 'value': BigInt(-1) }, 2), '{\n  "value": "-1"\n}');
+})
+
+test("getBalances returns BigInts", async function() {
+
+    var iota = new IOTA({ 'transport': new IOTA.transports.function(function(command, callback) {
+        callback(null, { 'balances': ['9007199254740993', '0'], 'milestone': "M".repeat(81), 'milestoneIndex': 1 });
+    }) });
+
+    var balances = await iota.api.getBalances(["A".repeat(81), "B".repeat(81)], 100);
+
+    assert.deepStrictEqual(balances.balances, [BigInt("9007199254740993"), BigInt(0)]);
+})
@@ -0,0 +1,129 @@
+var test = require("node:test");
+var assert = require("assert");
+var BundleValidator = require("../lib/crypto/validateBundle");
+var Transfers = require("../lib/crypto/transfers");
+var Signer = require("../lib/signers/signer");
+var Utils = require("../lib/utils/utils");
+
+var validateBundle = BundleValidator.validateBundle;
+
+var seed = "S".repeat(81);
+var signer = new Signer.SeedSigner(seed);
+
+// Signed trytes of 60 iotas to an output, 40 to the remainder
+var signedBundle = function(callback) {
+
+    signer.getAddress(0, 2, function(error, address) {
+
+        if (error) return callback(error);
+
+        var transfers = [{ 'address': "A".repeat(81), 'value': 60, 'message': '', 'tag': 'TEST' }];
+        var inputs = [{ 'address': address, 'keyIndex': 0, 'balance': 100 }];
+        var unsignedBundle = Transfers.buildBundle(transfers, inputs, "R".repeat(81), 2);
+
+        Transfers.signBundle(signer, unsignedBundle, callback);
+    })
+}
+
+var checks = function(report) {
+    return report.errors.map(function(error) {
+        return error.check;
+    })
+}
+
+test("a signed bundle is valid, as trytes and as objects", function(t, done) {
+
+    signedBundle(function(error, trytes) {
+
+        assert.ifError(error);
+
+        var report = validateBundle(trytes);
+
+        assert.strictEqual(report.valid, true);
+        assert.deepStrictEqual(report.errors, []);
+        assert.deepStrictEqual(report.transactions.map(function(tx) {
+            return tx.currentIndex;
+        }), [0, 1, 2, 3]);
+        assert.strictEqual(report.bundleHash, report.transactions[0].bundle);
+
+        assert.strictEqual(validateBundle(trytes.map(Utils.transactionObject)).valid, true);
+        assert.strictEqual(validateBundle(trytes.slice().reverse()).valid, true);
+
+        done();
+    })
+})
+
+test("changed values fail the sum and the bundle hash", function(t, done) {
+
+    signedBundle(function(error, trytes) {
+
+        assert.ifError(error);
+
+        var transactions = trytes.map(Utils.transactionObject);
+        transactions[0].value += BigInt(1);
+
+        var report = validateBundle(transactions);
+
+        assert.strictEqual(report.valid, false);
+        assert.ok(checks(report).indexOf("SUM") !== -1);
+        assert.ok(checks(report).indexOf("BUNDLE_HASH") !== -1);
+
+        done();
+    })
+})
+
+test("a changed signature fails with the address of the input", function(t, done) {
+
+    signedBundle(function(error, trytes) {
+
+        assert.ifError(error);
+
+        var transactions = trytes.map(Utils.transactionObject);
+        var input = transactions.filter(function(tx) {
+            return tx.value < 0;
+        })[0];
+
+        input.signatureMessageFragment = "A".repeat(2187);
+
+        assert.deepStrictEqual(validateBundle(transactions).errors, [{ 'check': 'SIGNATURE', 'index': input.currentIndex, 'address': input.address }]);
+
+        done();
+    })
+})
+
+test("missing transactions, empty bundles and invalid trytes are reported", function(t, done) {
+
+    signedBundle(function(error, trytes) {
+
+        assert.ifError(error);
+
+        assert.ok(checks(validateBundle(trytes.slice(1))).indexOf("LAST_INDEX") !== -1);
+        assert.deepStrictEqual(validateBundle([]).errors, [{ 'check': 'EMPTY', 'index': null }]);
+        assert.strictEqual(validateBundle(["9".repeat(10)]).errors[0].check, "TRYTES");
+
+        done();
+    })
+})
+
+test("reportError turns the first failed check into a BundleError", function(t, done) {
+
+    signedBundle(function(error, trytes) {
+
+        assert.ifError(error);
+
+        assert.strictEqual(BundleValidator.reportError(validateBundle(trytes)), null);
+
+        var transactions = trytes.map(Utils.transactionObject);
+        transactions[0].value += BigInt(1);
+
+        var report = validateBundle(transactions);
+        var bundleError = BundleValidator.reportError(report);
+
+        assert.strictEqual(bundleError.name, 'BundleError');
+        assert.strictEqual(bundleError.code, 'INVALID_BUNDLE_SUM');
+        assert.strictEqual(bundleError.sum, BigInt(1));
+        assert.strictEqual(bundleError.report, report);
+
+        done();
+    })
+})